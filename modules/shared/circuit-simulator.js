@@ -7,6 +7,87 @@
  * and visual circuit representations.
  */
 
+/* ===== LOGIC VALUES ===== */
+
+/**
+ * Four-valued signal model. Known single-bit values are the booleans
+ * false/true and known bus values are integers; 'Z' is high impedance
+ * (nothing driving) and 'X' is unknown (conflicting or undefined).
+ */
+class Logic {
+    static get Z() {
+        return 'Z';
+    }
+    
+    static get X() {
+        return 'X';
+    }
+    
+    static isKnown(value) {
+        return value !== 'Z' && value !== 'X';
+    }
+    
+    // True for a high bit or a non-zero bus value
+    static isActive(value) {
+        return value === true || (typeof value === 'number' && value !== 0);
+    }
+    
+    static and(...values) {
+        if (values.some(v => v === false)) return false;
+        return values.every(Logic.isKnown) ? true : 'X';
+    }
+    
+    static or(...values) {
+        if (values.some(v => v === true)) return true;
+        return values.every(Logic.isKnown) ? false : 'X';
+    }
+    
+    static xor(a, b) {
+        return Logic.isKnown(a) && Logic.isKnown(b) ? a !== b : 'X';
+    }
+    
+    static not(a) {
+        return Logic.isKnown(a) ? !a : 'X';
+    }
+    
+    /**
+     * Resolve the values of every driver on one net. Drivers at Z are ignored,
+     * agreeing drivers win, and disagreeing drivers produce X (contention).
+     * A net with no active driver takes its pull value, or stays at Z.
+     * @param {Array} values - Values from each driver
+     * @param {'none'|'down'|'up'} pull
+     * @param {number} width - Net width in bits
+     * @returns {{value: *, contention: boolean}}
+     */
+    static resolve(values, pull = 'none', width = 1) {
+        const driven = values.filter(v => v !== 'Z');
+        
+        if (driven.length === 0) {
+            switch (pull) {
+                case 'down':
+                    return { value: width > 1 ? 0 : false, contention: false };
+                case 'up':
+                    return { value: width > 1 ? CircuitComponent.maskFor(width) >>> 0 : true, contention: false };
+                default:
+                    return { value: 'Z', contention: false };
+            }
+        }
+        
+        const agree = driven.every(v => v === driven[0]);
+        if (!agree) {
+            return { value: 'X', contention: true };
+        }
+        
+        return { value: driven[0], contention: false };
+    }
+    
+    static colorFor(value) {
+        if (value === 'Z') return '#2563eb';
+        if (value === 'X') return '#dc2626';
+        return Logic.isActive(value) ? '#059669' : '#64748b';
+    }
+}
+
 /* ===== BASE CLASSES ===== */
 
 /**
@@ -23,6 +104,12 @@ class CircuitComponent {
         this.selected = false;
         this.width = 60;
         this.height = 40;
+        this.delay = 1; // Propagation delay in simulation time units
+        
+        // Pin declarations: { name, side, offset, width } relative to the
+        // component center. Width is the number of bits and defaults to 1.
+        this.inputPins = [];
+        this.outputPins = [];
     }
     
     addInput(input) {
@@ -33,6 +120,153 @@ class CircuitComponent {
         this.outputs.push(output);
     }
     
+    /**
+     * Look up a pin by index or name.
+     * @param {'input'|'output'} direction
+     * @param {number|string} ref - Pin index or pin name
+     * @returns {{index: number, name: string, side: string, offset: number, width: number}|null}
+     */
+    getPin(direction, ref) {
+        const pins = direction === 'input' ? this.inputPins : this.outputPins;
+        const index = typeof ref === 'number'
+            ? ref
+            : pins.findIndex(pin => pin.name === ref);
+        
+        if (!Number.isInteger(index) || index < 0 || index >= pins.length) {
+            return null;
+        }
+        
+        return { index, width: 1, ...pins[index] };
+    }
+    
+    // Mask covering the low `bits` bits of a bus value
+    static maskFor(bits) {
+        return bits >= 32 ? 0xFFFFFFFF : (1 << bits) - 1;
+    }
+    
+    // Offsets for `count` pins centered on the component, `spacing` apart
+    static spreadPins(count, spacing = 12) {
+        return Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * spacing);
+    }
+    
+    // Number formed by known single-bit values, bits[0] least significant
+    static bitsToNumber(bits) {
+        return bits.reduce((value, bit, i) => (bit ? value | (1 << i) : value), 0);
+    }
+    
+    getPinPosition(direction, ref) {
+        const pin = this.getPin(direction, ref);
+        const bbox = this.getBoundingBox();
+        if (!pin) {
+            return { x: direction === 'input' ? bbox.left : bbox.right, y: this.y };
+        }
+        
+        switch (pin.side) {
+            case 'top':
+                return { x: this.x + pin.offset, y: bbox.top };
+            case 'bottom':
+                return { x: this.x + pin.offset, y: bbox.bottom };
+            case 'right':
+                return { x: bbox.right, y: this.y + pin.offset };
+            default:
+                return { x: bbox.left, y: this.y + pin.offset };
+        }
+    }
+    
+    /**
+     * Find the pin within `radius` pixels of a point.
+     * @returns {{direction: 'input'|'output', index: number}|null}
+     */
+    getPinAt(x, y, radius = 6) {
+        const directions = [['output', this.outputPins], ['input', this.inputPins]];
+        for (const [direction, pins] of directions) {
+            for (let index = 0; index < pins.length; index++) {
+                const pos = this.getPinPosition(direction, index);
+                if (Math.hypot(pos.x - x, pos.y - y) <= radius) {
+                    return { direction, index };
+                }
+            }
+        }
+        return null;
+    }
+    
+    getInputValue(index) {
+        return this.inputs[index];
+    }
+    
+    setInputValue(index, value) {
+        this.inputs[index] = value;
+    }
+    
+    // Value an input pin holds while nothing is wired to it
+    defaultInputValue(index) {
+        const pin = this.getPin('input', index);
+        return pin && pin.width > 1 ? 0 : false;
+    }
+    
+    // Single-output components keep their value in `output`
+    getOutputValue(index) {
+        return this.outputPins.length > 1 ? this.outputs[index] : this.output;
+    }
+    
+    // Draw a rounded box with centered text lines
+    drawBody(ctx, lines, radius = 8) {
+        const bbox = this.getBoundingBox();
+        
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        ctx.beginPath();
+        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, radius);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        const startY = this.y - (lines.length - 1) * 7 + 4;
+        lines.forEach((line, i) => {
+            ctx.fillText(line, this.x, startY + i * 14);
+        });
+    }
+    
+    // Draw every declared pin with its name just inside the body
+    drawDeclaredPins(ctx) {
+        const drawPin = (direction, pin, index) => {
+            const pos = this.getPinPosition(direction, index);
+            const value = direction === 'input' ? this.getInputValue(index) : this.getOutputValue(index);
+            
+            ctx.fillStyle = Logic.colorFor(value);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#475569';
+            ctx.font = '8px monospace';
+            switch (pin.side) {
+                case 'right':
+                    ctx.textAlign = 'right';
+                    ctx.fillText(pin.name, pos.x - 5, pos.y + 3);
+                    break;
+                case 'top':
+                    ctx.textAlign = 'center';
+                    ctx.fillText(pin.name, pos.x, pos.y + 11);
+                    break;
+                case 'bottom':
+                    ctx.textAlign = 'center';
+                    ctx.fillText(pin.name, pos.x, pos.y - 5);
+                    break;
+                default:
+                    ctx.textAlign = 'left';
+                    ctx.fillText(pin.name, pos.x + 5, pos.y + 3);
+            }
+        };
+        
+        this.inputPins.forEach((pin, i) => drawPin('input', pin, i));
+        this.outputPins.forEach((pin, i) => drawPin('output', pin, i));
+    }
+    
     getBoundingBox() {
         return {
             left: this.x - this.width / 2,
@@ -61,45 +295,183 @@ class CircuitComponent {
  * Connection between circuit components
  */
 class CircuitConnection {
-    constructor(fromComponent, fromOutput, toComponent, toInput) {
+    constructor(fromComponent, fromOutput, toComponent, toInput, width = 1) {
         this.from = fromComponent;
         this.fromOutput = fromOutput;
         this.to = toComponent;
         this.toInput = toInput;
-        this.value = false;
+        this.width = width; // Bits carried; values wider than 1 bit are integers
+        this.value = width > 1 ? 0 : false;
         this.animated = false;
+        this.selected = false;
+        this.points = []; // User-placed bend points, in order from the output
     }
     
-    draw(ctx, animated = false) {
-        const fromPos = this.getOutputPosition();
-        const toPos = this.getInputPosition();
+    /**
+     * Format a bus value for display.
+     * @param {number} value
+     * @param {number} width - Bus width in bits
+     * @param {'hex'|'decimal'|'both'} format
+     */
+    static formatBusValue(value, width, format = 'hex') {
+        if (!Logic.isKnown(value)) return value;
+        
+        const hex = '0x' + (value >>> 0).toString(16).toUpperCase().padStart(Math.ceil(width / 4), '0');
+        switch (format) {
+            case 'decimal':
+                return String(value >>> 0);
+            case 'both':
+                return `${hex} (${value >>> 0})`;
+            default:
+                return hex;
+        }
+    }
+    
+    /**
+     * Orthogonal route from the output pin to the input pin as a list of
+     * points. Without bend points the wire turns once, halfway across;
+     * otherwise it runs horizontally into each bend point and enters the
+     * input pin horizontally.
+     */
+    getRoute() {
+        const start = this.getOutputPosition();
+        const end = this.getInputPosition();
+        
+        if (this.points.length === 0) {
+            const midX = (start.x + end.x) / 2;
+            return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+        }
         
-        ctx.strokeStyle = this.value ? '#059669' : '#64748b';
-        ctx.lineWidth = this.value && animated ? 3 : 2;
-        ctx.beginPath();
+        const route = [start];
+        this.points.forEach(point => {
+            const last = route[route.length - 1];
+            if (last.x !== point.x && last.y !== point.y) {
+                route.push({ x: point.x, y: last.y });
+            }
+            route.push({ x: point.x, y: point.y });
+        });
         
-        // Draw curved connection line
-        const controlPoint1X = fromPos.x + (toPos.x - fromPos.x) * 0.5;
-        const controlPoint1Y = fromPos.y;
-        const controlPoint2X = fromPos.x + (toPos.x - fromPos.x) * 0.5;
-        const controlPoint2Y = toPos.y;
+        const last = route[route.length - 1];
+        if (last.x !== end.x && last.y !== end.y) {
+            route.push({ x: last.x, y: end.y });
+        }
+        route.push(end);
         
-        ctx.moveTo(fromPos.x, fromPos.y);
-        ctx.bezierCurveTo(controlPoint1X, controlPoint1Y, controlPoint2X, controlPoint2Y, toPos.x, toPos.y);
-        ctx.stroke();
+        return route;
+    }
+    
+    // Point at fraction t (0..1) of the route's length
+    getPointAlongRoute(route, t) {
+        const lengths = route.slice(1).map((point, i) => Math.hypot(point.x - route[i].x, point.y - route[i].y));
+        let remaining = lengths.reduce((a, b) => a + b, 0) * t;
+        
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] && lengths[i] > 0) {
+                const f = remaining / lengths[i];
+                return {
+                    x: route[i].x + (route[i + 1].x - route[i].x) * f,
+                    y: route[i].y + (route[i + 1].y - route[i].y) * f
+                };
+            }
+            remaining -= lengths[i];
+        }
+        
+        return route[route.length - 1];
+    }
+    
+    // True if the point lies within `tolerance` pixels of the wire
+    containsPoint(x, y, tolerance = 5) {
+        const route = this.getRoute();
+        for (let i = 1; i < route.length; i++) {
+            const a = route[i - 1];
+            const b = route[i];
+            const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+            const t = lengthSquared === 0
+                ? 0
+                : Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSquared));
+            
+            if (Math.hypot(x - (a.x + t * (b.x - a.x)), y - (a.y + t * (b.y - a.y))) <= tolerance) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Index of the bend point within `radius` pixels, or -1
+    getBendPointAt(x, y, radius = 6) {
+        return this.points.findIndex(point => Math.hypot(point.x - x, point.y - y) <= radius);
+    }
+    
+    draw(ctx, animated = false, valueFormat = 'hex') {
+        const route = this.getRoute();
+        const isBus = this.width > 1;
+        
+        // Selection halo
+        if (this.selected) {
+            ctx.strokeStyle = 'rgba(37, 99, 235, 0.35)';
+            ctx.lineWidth = isBus ? 10 : 8;
+            this.strokeRoute(ctx, route);
+        }
+        
+        ctx.strokeStyle = Logic.colorFor(this.value);
+        ctx.lineWidth = isBus ? 4 : (Logic.isActive(this.value) && animated ? 3 : 2);
+        ctx.setLineDash(this.value === 'Z' ? [4, 4] : []);
+        this.strokeRoute(ctx, route);
+        ctx.setLineDash([]);
+        
+        if (this.selected) {
+            this.drawBendHandles(ctx);
+        }
+        
+        if (isBus) {
+            this.drawBusLabel(ctx, this.getPointAlongRoute(route, 0.5), valueFormat);
+        }
         
         // Draw signal flow animation if active
-        if (this.value && animated) {
-            this.drawSignalFlow(ctx, fromPos, toPos);
+        if (Logic.isActive(this.value) && animated) {
+            this.drawSignalFlow(ctx, route);
         }
     }
     
-    drawSignalFlow(ctx, fromPos, toPos) {
+    strokeRoute(ctx, route) {
+        ctx.beginPath();
+        ctx.moveTo(route[0].x, route[0].y);
+        route.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+    }
+    
+    drawBendHandles(ctx) {
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#2563eb';
+        ctx.lineWidth = 2;
+        this.points.forEach(point => {
+            ctx.beginPath();
+            ctx.rect(point.x - 4, point.y - 4, 8, 8);
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+    
+    drawBusLabel(ctx, position, valueFormat) {
+        const { x, y } = position;
+        const text = `${this.width}b ${CircuitConnection.formatBusValue(this.value, this.width, valueFormat)}`;
+        
+        ctx.font = '10px monospace';
+        const textWidth = ctx.measureText(text).width;
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x - textWidth / 2 - 3, y - 16, textWidth + 6, 13);
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, x, y - 6);
+    }
+    
+    drawSignalFlow(ctx, route) {
         const time = Date.now() / 1000;
         const progress = (time * 2) % 1; // 2 signals per second
         
-        const x = fromPos.x + (toPos.x - fromPos.x) * progress;
-        const y = fromPos.y + (toPos.y - fromPos.y) * progress;
+        const { x, y } = this.getPointAlongRoute(route, progress);
         
         ctx.fillStyle = '#f59e0b';
         ctx.beginPath();
@@ -108,17 +480,11 @@ class CircuitConnection {
     }
     
     getOutputPosition() {
-        return {
-            x: this.from.x + this.from.width / 2,
-            y: this.from.y
-        };
+        return this.from.getPinPosition('output', this.fromOutput);
     }
     
     getInputPosition() {
-        return {
-            x: this.to.x - this.to.width / 2,
-            y: this.to.y
-        };
+        return this.to.getPinPosition('input', this.toInput);
     }
 }
 
@@ -132,10 +498,15 @@ class ANDGate extends CircuitComponent {
         super(id, 'AND', x, y);
         this.inputs = [false, false];
         this.output = false;
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: -8 },
+            { name: 'B', side: 'left', offset: 8 }
+        ];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
     }
     
     compute() {
-        this.output = this.inputs[0] && this.inputs[1];
+        this.output = Logic.and(this.inputs[0], this.inputs[1]);
         return this.output;
     }
     
@@ -166,18 +537,18 @@ class ANDGate extends CircuitComponent {
         const bbox = this.getBoundingBox();
         
         // Input pins
-        ctx.fillStyle = this.inputs[0] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[0]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y - 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
-        ctx.fillStyle = this.inputs[1] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[1]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y + 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
         // Output pin
-        ctx.fillStyle = this.output ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.output);
         ctx.beginPath();
         ctx.arc(bbox.right, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
@@ -192,10 +563,15 @@ class ORGate extends CircuitComponent {
         super(id, 'OR', x, y);
         this.inputs = [false, false];
         this.output = false;
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: -8 },
+            { name: 'B', side: 'left', offset: 8 }
+        ];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
     }
     
     compute() {
-        this.output = this.inputs[0] || this.inputs[1];
+        this.output = Logic.or(this.inputs[0], this.inputs[1]);
         return this.output;
     }
     
@@ -223,18 +599,18 @@ class ORGate extends CircuitComponent {
         const bbox = this.getBoundingBox();
         
         // Input pins
-        ctx.fillStyle = this.inputs[0] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[0]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y - 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
-        ctx.fillStyle = this.inputs[1] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[1]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y + 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
         // Output pin
-        ctx.fillStyle = this.output ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.output);
         ctx.beginPath();
         ctx.arc(bbox.right, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
@@ -249,10 +625,15 @@ class XORGate extends CircuitComponent {
         super(id, 'XOR', x, y);
         this.inputs = [false, false];
         this.output = false;
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: -8 },
+            { name: 'B', side: 'left', offset: 8 }
+        ];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
     }
     
     compute() {
-        this.output = this.inputs[0] !== this.inputs[1];
+        this.output = Logic.xor(this.inputs[0], this.inputs[1]);
         return this.output;
     }
     
@@ -280,18 +661,18 @@ class XORGate extends CircuitComponent {
         const bbox = this.getBoundingBox();
         
         // Input pins
-        ctx.fillStyle = this.inputs[0] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[0]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y - 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
-        ctx.fillStyle = this.inputs[1] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[1]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y + 8, 3, 0, 2 * Math.PI);
         ctx.fill();
         
         // Output pin
-        ctx.fillStyle = this.output ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.output);
         ctx.beginPath();
         ctx.arc(bbox.right, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
@@ -307,10 +688,12 @@ class NOTGate extends CircuitComponent {
         this.inputs = [false];
         this.output = false;
         this.width = 50;
+        this.inputPins = [{ name: 'A', side: 'left', offset: 0 }];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
     }
     
     compute() {
-        this.output = !this.inputs[0];
+        this.output = Logic.not(this.inputs[0]);
         return this.output;
     }
     
@@ -338,13 +721,13 @@ class NOTGate extends CircuitComponent {
         const bbox = this.getBoundingBox();
         
         // Input pin
-        ctx.fillStyle = this.inputs[0] ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.inputs[0]);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
         
         // Output pin
-        ctx.fillStyle = this.output ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.output);
         ctx.beginPath();
         ctx.arc(bbox.right, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
@@ -357,22 +740,45 @@ class NOTGate extends CircuitComponent {
  * Input component for circuit simulation
  */
 class InputComponent extends CircuitComponent {
-    constructor(id, label = 'IN', x = 0, y = 0) {
+    constructor(id, label = 'IN', x = 0, y = 0, bits = 1) {
         super(id, 'INPUT', x, y);
         this.label = label;
-        this.value = false;
-        this.width = 40;
+        this.bits = bits;
+        this.value = bits > 1 ? 0 : false;
+        this.width = bits > 1 ? 50 : 40;
+        this.delay = 0;
+        this.outputPins = [{ name: 'OUT', side: 'right', offset: 0, width: bits }];
     }
     
     compute() {
         return this.value;
     }
     
+    getOutputValue() {
+        return this.value;
+    }
+    
+    // Single-bit inputs flip; bus inputs count up and wrap
     toggle() {
-        this.value = !this.value;
+        this.value = this.bits > 1
+            ? (this.value + 1) & CircuitComponent.maskFor(this.bits)
+            : !this.value;
         return this.value;
     }
     
+    setValue(value) {
+        this.value = this.bits > 1
+            ? (Number(value) & CircuitComponent.maskFor(this.bits)) >>> 0
+            : Boolean(value);
+    }
+    
+    getDisplayValue() {
+        if (this.bits > 1) {
+            return CircuitConnection.formatBusValue(this.value, this.bits);
+        }
+        return this.value ? '1' : '0';
+    }
+    
     draw(ctx) {
         const bbox = this.getBoundingBox();
         
@@ -389,10 +795,10 @@ class InputComponent extends CircuitComponent {
         ctx.font = 'bold 10px monospace';
         ctx.textAlign = 'center';
         ctx.fillText(this.label, this.x, this.y - 2);
-        ctx.fillText(this.value ? '1' : '0', this.x, this.y + 10);
+        ctx.fillText(this.getDisplayValue(), this.x, this.y + 10);
         
         // Output pin
-        ctx.fillStyle = this.value ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.value);
         ctx.beginPath();
         ctx.arc(bbox.right, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
@@ -403,11 +809,21 @@ class InputComponent extends CircuitComponent {
  * Output component for circuit simulation
  */
 class OutputComponent extends CircuitComponent {
-    constructor(id, label = 'OUT', x = 0, y = 0) {
+    constructor(id, label = 'OUT', x = 0, y = 0, bits = 1) {
         super(id, 'OUTPUT', x, y);
         this.label = label;
-        this.value = false;
+        this.bits = bits;
+        this.value = bits > 1 ? 0 : false;
         this.width = 50;
+        this.delay = 0;
+        this.inputPins = [{ name: 'IN', side: 'left', offset: 0, width: bits }];
+    }
+    
+    getDisplayValue() {
+        if (this.bits > 1 || !Logic.isKnown(this.value)) {
+            return CircuitConnection.formatBusValue(this.value, this.bits);
+        }
+        return this.value ? '1' : '0';
     }
     
     compute() {
@@ -419,11 +835,20 @@ class OutputComponent extends CircuitComponent {
         this.value = value;
     }
     
+    getInputValue() {
+        return this.value;
+    }
+    
+    setInputValue(index, value) {
+        this.setValue(value);
+    }
+    
     draw(ctx) {
         const bbox = this.getBoundingBox();
         
-        ctx.fillStyle = this.value ? '#059669' : '#f8fafc';
-        ctx.strokeStyle = this.value ? '#047857' : '#64748b';
+        const active = Logic.isActive(this.value);
+        ctx.fillStyle = active ? '#059669' : '#f8fafc';
+        ctx.strokeStyle = this.value === 'X' ? '#dc2626' : (active ? '#047857' : '#64748b');
         ctx.lineWidth = 2;
         
         ctx.beginPath();
@@ -431,50 +856,347 @@ class OutputComponent extends CircuitComponent {
         ctx.fill();
         ctx.stroke();
         
-        ctx.fillStyle = this.value ? 'white' : '#1e293b';
+        ctx.fillStyle = active ? 'white' : '#1e293b';
         ctx.font = 'bold 10px monospace';
         ctx.textAlign = 'center';
         ctx.fillText(this.label, this.x, this.y - 2);
-        ctx.fillText(this.value ? '1' : '0', this.x, this.y + 10);
+        ctx.fillText(this.getDisplayValue(), this.x, this.y + 10);
         
         // Input pin
-        ctx.fillStyle = this.value ? '#059669' : '#64748b';
+        ctx.fillStyle = Logic.colorFor(this.value);
         ctx.beginPath();
         ctx.arc(bbox.left, this.y, 3, 0, 2 * Math.PI);
         ctx.fill();
     }
 }
 
+/* ===== SIMULATION ENGINE ===== */
+
+/**
+ * Time-ordered queue of pending signal changes. Events scheduled for the
+ * same time are kept in the order they were scheduled.
+ */
+class EventQueue {
+    constructor() {
+        this.events = [];
+        this.sequence = 0;
+    }
+    
+    get size() {
+        return this.events.length;
+    }
+    
+    isEmpty() {
+        return this.events.length === 0;
+    }
+    
+    schedule(time, event) {
+        const entry = { ...event, time, sequence: this.sequence++ };
+        
+        // Binary search for the insertion point (after equal times)
+        let low = 0;
+        let high = this.events.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.events[mid].time <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        this.events.splice(low, 0, entry);
+        return entry;
+    }
+    
+    peekTime() {
+        return this.events.length > 0 ? this.events[0].time : Infinity;
+    }
+    
+    // Remove and return every event scheduled for the earliest time
+    popSimultaneous() {
+        const time = this.peekTime();
+        let count = 0;
+        while (count < this.events.length && this.events[count].time === time) {
+            count++;
+        }
+        return this.events.splice(0, count);
+    }
+    
+    clear() {
+        this.events = [];
+    }
+}
+
+/**
+ * Records every change of one pin's value against simulation time for the
+ * waveform view. A probe on a wire watches the output pin driving it.
+ * `samples` holds { time, value } entries, one per change. Output probes
+ * are fed the events as they fire, since compute() updates a component's
+ * outputs before its propagation delay has elapsed.
+ */
+class SignalProbe {
+    constructor(component, direction, index, label = null) {
+        const pin = component.getPin(direction, index);
+        this.component = component;
+        this.direction = direction;
+        this.index = pin.index;
+        this.pinName = pin.name;
+        this.width = pin.width;
+        this.label = label || `${component.id}.${pin.name}`;
+        this.samples = [];
+    }
+    
+    read() {
+        return this.direction === 'input'
+            ? this.component.getInputValue(this.index)
+            : this.component.getOutputValue(this.index);
+    }
+    
+    record(time, value = this.read()) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && last.value === value) return;
+        
+        // Several changes at one instant keep only the final value
+        if (last && last.time === time) {
+            last.value = value;
+            const previous = this.samples[this.samples.length - 2];
+            if (previous && previous.value === value) this.samples.pop();
+        } else {
+            this.samples.push({ time, value });
+        }
+    }
+    
+    // Value at a time, or undefined before the first sample
+    valueAt(time) {
+        let low = 0;
+        let high = this.samples.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.samples[mid].time <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low > 0 ? this.samples[low - 1].value : undefined;
+    }
+    
+    matches(component, direction, index) {
+        return this.component === component && this.direction === direction && this.index === index;
+    }
+    
+    // Follow the component after the circuit is rebuilt (undo, reload)
+    reattach(component) {
+        const pin = component && component.getPin(this.direction, this.pinName);
+        if (!pin || pin.width !== this.width) return false;
+        
+        this.component = component;
+        this.index = pin.index;
+        return true;
+    }
+    
+    clear() {
+        this.samples = [];
+    }
+}
+
+/* ===== EDIT HISTORY ===== */
+
+/**
+ * Undo/redo stacks of edit commands. A command is { label, undo(), redo() }
+ * and refers to components by id so it stays valid after they are rebuilt.
+ * Commands recorded while another command runs are ignored, and batch()
+ * turns a group of edits into one snapshot-based command.
+ */
+class CircuitHistory {
+    constructor(simulator, depth = 100) {
+        this.simulator = simulator;
+        this.depth = depth;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.suspended = false;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    record(command) {
+        if (this.suspended) return;
+        
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.depth) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        
+        this.runSuspended(() => command.undo());
+        this.redoStack.push(command);
+        this.notify();
+        return command.label;
+    }
+    
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        
+        this.runSuspended(() => command.redo());
+        this.undoStack.push(command);
+        this.notify();
+        return command.label;
+    }
+    
+    /**
+     * Run fn as a single undoable step by snapshotting the whole circuit
+     * before and after it. Nested batches join the outer one.
+     */
+    batch(label, fn) {
+        if (this.suspended) {
+            return fn();
+        }
+        
+        const simulator = this.simulator;
+        const before = simulator.exportCircuit();
+        const result = this.runSuspended(fn);
+        const after = simulator.exportCircuit();
+        
+        this.record({
+            label,
+            undo: () => simulator.loadCircuitData(before),
+            redo: () => simulator.loadCircuitData(after)
+        });
+        
+        return result;
+    }
+    
+    runSuspended(fn) {
+        const wasSuspended = this.suspended;
+        this.suspended = true;
+        try {
+            return fn();
+        } finally {
+            this.suspended = wasSuspended;
+        }
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    // Let pages keep their own undo/redo buttons in sync
+    notify() {
+        const canvas = this.simulator.canvas;
+        if (canvas && canvas.dispatchEvent) {
+            canvas.dispatchEvent(new CustomEvent('circuithistory', {
+                detail: { canUndo: this.canUndo(), canRedo: this.canRedo() }
+            }));
+        }
+    }
+}
+
 /* ===== CIRCUIT SIMULATOR ===== */
 
 /**
  * Main circuit simulator class
  */
 class CircuitSimulator {
+    // Type names accepted by addComponent() and in circuit files
+    static get COMPONENT_TYPES() {
+        return [
+            'AND', 'OR', 'XOR', 'NOT', 'INPUT', 'OUTPUT',
+            'HALF_ADDER', 'FULL_ADDER', 'ALU', 'MUX_4TO1',
+            'DECODER', 'ENCODER', 'MUX', 'DEMUX',
+            'SR_LATCH', 'D_LATCH', 'D_FLIPFLOP', 'REGISTER', 'RAM',
+            'SPLITTER', 'JOINER', 'TRISTATE', 'BUS',
+            'CLOCK', 'CLOCK_4PHASE', 'STEPPER', 'SUBCIRCUIT'
+        ];
+    }
+    
+    // Construction options saved in a component's "props" (besides delay)
+    static get COMPONENT_PROPS() {
+        return ['bits', 'drivers', 'pull', 'frequency', 'steps', 'expanded', 'select', 'circuit'];
+    }
+    
+    static get FILE_FORMAT() {
+        return 'csc210-circuit';
+    }
+    
+    static get FILE_VERSION() {
+        return 2;
+    }
+    
+    /**
+     * @param {string|null} canvasId - Canvas to draw on, or null for a headless
+     *   simulator with no drawing or pointer input (used inside subcircuits)
+     */
     constructor(canvasId, options = {}) {
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) {
+        this.canvas = canvasId === null ? null : document.getElementById(canvasId);
+        if (canvasId !== null && !this.canvas) {
             throw new Error(`Canvas element with id "${canvasId}" not found`);
         }
         
-        this.ctx = this.canvas.getContext('2d');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
         this.components = [];
         this.connections = [];
         this.selectedComponent = null;
+        this.selectedConnection = null;
         this.isSimulating = false;
         this.animationFrame = null;
         
+        // Pointer interaction state
+        this.wiring = null; // { component, pin, x, y } while dragging out a new wire
+        this.hoverPin = null; // { component, direction, index } under the cursor
+        this.draggingBend = null; // { connection, index } while moving a bend point
+        this.suppressClick = false;
+        this.statusMessage = null;
+        this.panels = []; // Refresh callbacks of DOM views that follow the circuit (memory editors, waveforms)
+        this.probes = []; // SignalProbes shown in waveform views
+        this.subcircuits = {}; // Subcircuit name -> { components, connections }
+        
+        // Event-driven simulation state
+        this.eventQueue = new EventQueue();
+        this.simulationTime = 0;
+        this.clockTime = 0; // Time of the last clock edge applied
+        this.drivenValues = new Map();
+        this.lastSimulation = null;
+        this.contentions = new Set(); // "componentId:pin" inputs with conflicting drivers
+        
         // Configuration options
         this.options = {
             enableAnimation: true,
             showGrid: false,
             gridSize: 20,
             allowDrag: true,
+            allowWiring: true,
+            builderMode: false, // Free-form editing: I/O can be moved and drops snap to the grid
+            maxEvents: 10000, // Guard against oscillating feedback loops
+            busValueFormat: 'hex', // 'hex', 'decimal' or 'both' for bus wire labels
+            pull: 'none', // Value of an undriven input: 'none' (Z), 'down' or 'up'
+            speed: 1, // Simulated milliseconds per real millisecond while running
+            historyDepth: 100, // Undo steps kept
             ...options
         };
         
-        this.setupCanvas();
-        this.setupEventListeners();
+        this.history = new CircuitHistory(this, this.options.historyDepth);
+        this.isActive = false; // Set while this canvas was the last one interacted with
+        
+        if (this.canvas) {
+            this.setupCanvas();
+            this.setupEventListeners();
+        }
     }
     
     setupCanvas() {
@@ -495,92 +1217,290 @@ class CircuitSimulator {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
         
         // Handle window resize
         window.addEventListener('resize', () => this.handleResize());
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        
+        // Undo/redo shortcuts only apply to the canvas last clicked
+        document.addEventListener('mousedown', (e) => {
+            this.isActive = e.target === this.canvas;
+        });
     }
     
-    handleClick(event) {
+    getCanvasPoint(event) {
         const rect = this.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+    
+    snapToGrid(value) {
+        const gridSize = this.options.gridSize;
+        return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+    }
+    
+    handleClick(event) {
+        // A wire or bend-point drag just finished; don't treat it as a click
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
+        const { x, y } = this.getCanvasPoint(event);
+        
+        // Alt-click a pin or wire to add or remove a waveform probe
+        if (event.altKey) {
+            const pin = this.getPinAt(x, y);
+            const connection = pin ? null : this.getConnectionAt(x, y);
+            if (pin) {
+                this.toggleProbe(pin.component, pin.direction, pin.index);
+            } else if (connection) {
+                this.toggleProbe(connection.from, 'output', connection.fromOutput);
+            }
+            if (pin || connection) return;
+        }
         
         // Check if clicking on a component
         const clickedComponent = this.getComponentAt(x, y);
         
         if (clickedComponent) {
             if (clickedComponent.type === 'INPUT') {
+                const before = clickedComponent.value;
                 clickedComponent.toggle();
+                this.recordInputChange(clickedComponent.id, before, clickedComponent.value);
                 this.simulate();
                 this.render();
             } else {
                 this.selectComponent(clickedComponent);
             }
         } else {
-            this.selectComponent(null);
+            const connection = this.getConnectionAt(x, y);
+            if (connection) {
+                this.selectConnection(connection);
+            } else {
+                this.selectComponent(null);
+            }
+        }
+    }
+    
+    handleDoubleClick(event) {
+        const { x, y } = this.getCanvasPoint(event);
+        // Double-click a part with an internal view (e.g. the ALU) to open or close it
+        const component = this.getConnectionAt(x, y) ? null : this.getComponentAt(x, y);
+        if (component && typeof component.setExpanded === 'function') {
+            this.setExpanded(component.id, !component.expanded);
+            return;
+        }
+        
+        const connection = this.selectedConnection || this.getConnectionAt(x, y);
+        if (!connection) return;
+        
+        // Double-click a bend point to remove it, or a wire to add one
+        const bendIndex = connection.getBendPointAt(x, y);
+        if (bendIndex !== -1) {
+            this.removeBendPoint(connection, bendIndex);
+        } else if (connection.containsPoint(x, y)) {
+            this.addBendPoint(connection, x, y);
+            this.selectConnection(connection);
         }
     }
     
     handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        const { x, y } = this.getCanvasPoint(event);
+        
+        if (this.wiring) {
+            this.wiring.x = x;
+            this.wiring.y = y;
+        }
+        
+        if (this.draggingBend) {
+            const point = this.draggingBend.connection.points[this.draggingBend.index];
+            point.x = this.snapToGrid(x);
+            point.y = this.snapToGrid(y);
+            this.draggingBend.moved = true;
+        }
+        
+        // Highlight the pin under the cursor
+        const previousPin = this.hoverPin;
+        this.hoverPin = this.options.allowWiring ? this.getPinAt(x, y) : null;
+        const hoverChanged = (previousPin && previousPin.component) !== (this.hoverPin && this.hoverPin.component) ||
+            (previousPin && previousPin.index) !== (this.hoverPin && this.hoverPin.index);
         
         // Update cursor based on what's under mouse
         const component = this.getComponentAt(x, y);
-        if (component) {
+        if (this.hoverPin || this.wiring) {
+            this.canvas.style.cursor = 'crosshair';
+        } else if (component) {
             this.canvas.style.cursor = component.type === 'INPUT' ? 'pointer' : 'move';
+        } else if (this.getConnectionAt(x, y)) {
+            this.canvas.style.cursor = 'pointer';
         } else {
             this.canvas.style.cursor = 'default';
         }
+        
+        if (this.wiring || this.draggingBend || hoverChanged) {
+            this.render();
+        }
     }
     
     handleMouseDown(event) {
+        const { x, y } = this.getCanvasPoint(event);
+        
+        // Start a new wire from an output pin
+        if (this.options.allowWiring) {
+            const pin = this.getPinAt(x, y);
+            if (pin && pin.direction === 'output') {
+                this.wiring = { component: pin.component, pin: pin.index, x, y };
+                return;
+            }
+        }
+        
+        // Grab a bend point on the selected wire
+        if (this.selectedConnection) {
+            const index = this.selectedConnection.getBendPointAt(x, y);
+            if (index !== -1) {
+                this.draggingBend = {
+                    connection: this.selectedConnection,
+                    index,
+                    moved: false,
+                    before: this.selectedConnection.points.map(point => ({ ...point }))
+                };
+                return;
+            }
+        }
+        
         // Implementation for dragging components
         if (this.options.allowDrag) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
-            
             const component = this.getComponentAt(x, y);
-            if (component && component.type !== 'INPUT' && component.type !== 'OUTPUT') {
+            const isFixed = component && (component.type === 'INPUT' || component.type === 'OUTPUT');
+            if (component && (!isFixed || this.options.builderMode)) {
                 this.dragging = {
                     component: component,
                     offsetX: x - component.x,
-                    offsetY: y - component.y
+                    offsetY: y - component.y,
+                    startX: x,
+                    startY: y
                 };
             }
         }
     }
     
     handleMouseUp(event) {
+        const { x, y } = this.getCanvasPoint(event);
+        
+        if (this.wiring) {
+            const target = this.getPinAt(x, y);
+            const source = this.wiring;
+            this.wiring = null;
+            this.suppressClick = true;
+            
+            if (target && target.direction === 'input') {
+                try {
+                    this.connectComponents(source.component.id, source.pin, target.component.id, target.index);
+                    this.statusMessage = null;
+                    this.simulate();
+                } catch (error) {
+                    this.showStatus(error.message);
+                }
+            }
+            this.render();
+            return;
+        }
+        
+        if (this.draggingBend) {
+            const { connection, moved, before } = this.draggingBend;
+            if (moved) this.recordRoute(connection, before, 'Move bend point');
+            this.suppressClick = moved;
+            this.draggingBend = null;
+            this.render();
+            return;
+        }
+        
         if (this.dragging) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
+            let newX = x - this.dragging.offsetX;
+            let newY = y - this.dragging.offsetY;
+            if (this.options.builderMode) {
+                newX = this.snapToGrid(newX);
+                newY = this.snapToGrid(newY);
+            }
             
-            this.dragging.component.x = x - this.dragging.offsetX;
-            this.dragging.component.y = y - this.dragging.offsetY;
+            // A real drag shouldn't also toggle an input
+            if (Math.hypot(x - this.dragging.startX, y - this.dragging.startY) > 3) {
+                this.suppressClick = true;
+            }
+            
+            const component = this.dragging.component;
+            const from = { x: component.x, y: component.y };
+            component.x = newX;
+            component.y = newY;
+            
+            if (from.x !== newX || from.y !== newY) {
+                this.history.record({
+                    label: `Move ${component.id}`,
+                    undo: () => this.moveComponent(component.id, from.x, from.y),
+                    redo: () => this.moveComponent(component.id, newX, newY)
+                });
+            }
             
             this.dragging = null;
             this.render();
         }
     }
     
+    // Show a message along the bottom of the canvas and announce it to listeners
+    showStatus(message) {
+        this.statusMessage = message;
+        if (this.canvas) {
+            this.canvas.dispatchEvent(new CustomEvent('circuitmessage', { detail: { message } }));
+        }
+        this.render();
+    }
+    
     handleResize() {
         this.setupCanvas();
         this.render();
     }
     
     handleKeyDown(event) {
-        if (event.key === 'Delete' && this.selectedComponent) {
-            this.removeComponent(this.selectedComponent.id);
+        const target = event.target;
+        const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+        
+        if (this.isActive && !isTyping && (event.ctrlKey || event.metaKey)) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+                return;
+            }
+            if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+                return;
+            }
+        }
+        
+        // Delete removes the selection, but not while the user types elsewhere
+        if (this.isActive && !isTyping && event.key === 'Delete') {
+            if (this.selectedComponent) {
+                this.removeComponent(this.selectedComponent.id);
+            } else if (this.selectedConnection) {
+                this.removeConnection(this.selectedConnection);
+            }
+        }
+        
+        // P probes the selected wire
+        if (this.isActive && !isTyping && event.key.toLowerCase() === 'p' && this.selectedConnection) {
+            const connection = this.selectedConnection;
+            this.toggleProbe(connection.from, 'output', connection.fromOutput);
         }
         
         if (event.key === 'Escape') {
+            this.wiring = null;
             this.selectComponent(null);
         }
     }
@@ -589,10 +1509,34 @@ class CircuitSimulator {
         return this.components.find(component => component.containsPoint(x, y));
     }
     
+    getConnectionAt(x, y) {
+        // Topmost (last drawn) wire first
+        for (let i = this.connections.length - 1; i >= 0; i--) {
+            if (this.connections[i].containsPoint(x, y)) {
+                return this.connections[i];
+            }
+        }
+        return null;
+    }
+    
+    getPinAt(x, y) {
+        for (const component of this.components) {
+            const pin = component.getPinAt(x, y);
+            if (pin) {
+                return { component, ...pin };
+            }
+        }
+        return null;
+    }
+    
     selectComponent(component) {
         if (this.selectedComponent) {
             this.selectedComponent.selected = false;
         }
+        if (this.selectedConnection) {
+            this.selectedConnection.selected = false;
+            this.selectedConnection = null;
+        }
         
         this.selectedComponent = component;
         
@@ -603,6 +1547,17 @@ class CircuitSimulator {
         this.render();
     }
     
+    selectConnection(connection) {
+        this.selectComponent(null);
+        
+        this.selectedConnection = connection;
+        if (connection) {
+            connection.selected = true;
+        }
+        
+        this.render();
+    }
+    
     // Public API methods
     
     addComponent(type, id, x = 100, y = 100, options = {}) {
@@ -622,45 +1577,448 @@ class CircuitSimulator {
                 component = new NOTGate(id, x, y);
                 break;
             case 'INPUT':
-                component = new InputComponent(id, options.label || 'IN', x, y);
+                component = new InputComponent(id, options.label || 'IN', x, y, options.bits || 1);
                 break;
             case 'OUTPUT':
-                component = new OutputComponent(id, options.label || 'OUT', x, y);
+                component = new OutputComponent(id, options.label || 'OUT', x, y, options.bits || 1);
+                break;
+            case 'HALF_ADDER':
+                component = new HalfAdder(id, x, y);
+                break;
+            case 'FULL_ADDER':
+                component = new FullAdder(id, x, y);
+                break;
+            case 'ALU':
+                component = new ALUComponent(id, x, y, options.bits || 8, options.expanded === true);
+                break;
+            case 'MUX_4TO1':
+                component = new Multiplexer4to1(id, x, y);
+                break;
+            case 'SR_LATCH':
+                component = new SRLatch(id, x, y);
+                break;
+            case 'D_LATCH':
+                component = new DLatch(id, x, y);
+                break;
+            case 'D_FLIPFLOP':
+                component = new DFlipFlop(id, x, y);
+                break;
+            case 'REGISTER':
+                component = new Register(id, x, y, options.bits || 8);
+                break;
+            case 'DECODER':
+                component = new Decoder(id, x, y, options.select || 2);
+                break;
+            case 'ENCODER':
+                component = new PriorityEncoder(id, x, y, options.select || 2);
+                break;
+            case 'MUX':
+                component = new Multiplexer(id, x, y, options.select || 2);
+                break;
+            case 'DEMUX':
+                component = new Demultiplexer(id, x, y, options.select || 2);
+                break;
+            case 'RAM':
+                component = new RamComponent(id, x, y, options.expanded === true);
+                break;
+            case 'SPLITTER':
+                component = new Splitter(id, x, y, options.bits || 8);
+                break;
+            case 'JOINER':
+                component = new Joiner(id, x, y, options.bits || 8);
+                break;
+            case 'TRISTATE':
+                component = new TriStateBuffer(id, x, y, options.bits || 1);
+                break;
+            case 'CLOCK':
+                component = new ClockComponent(id, x, y, options.frequency || 1);
+                break;
+            case 'CLOCK_4PHASE':
+                component = new PhaseClock(id, x, y, options.frequency || 1);
+                break;
+            case 'STEPPER':
+                component = new Stepper(id, x, y, options.steps || 6);
+                break;
+            case 'SUBCIRCUIT':
+                component = new SubcircuitComponent(id, x, y, options.circuit, this.subcircuits, options.expanded === true);
+                break;
+            case 'BUS':
+                component = new SharedBus(id, x, y, options.bits || 8, options.drivers || 4, options.pull || 'none');
                 break;
             default:
                 throw new Error(`Unknown component type: ${type}`);
         }
         
+        if (options.delay !== undefined) {
+            component.delay = options.delay;
+        }
+        if (options.label !== undefined) {
+            component.label = options.label;
+        }
+        
+        if (component instanceof ClockComponent) {
+            component.setTime(this.clockTime);
+        }
+        
         this.components.push(component);
+        
+        const data = this.serializeComponent(component);
+        this.history.record({
+            label: `Add ${id}`,
+            undo: () => this.removeComponent(id),
+            redo: () => this.restoreComponent(data)
+        });
+        
+        this.render();
+        return component;
+    }
+    
+    undo() {
+        const label = this.history.undo();
+        if (label) {
+            this.simulate();
+            this.render();
+        }
+        return label;
+    }
+    
+    redo() {
+        const label = this.history.redo();
+        if (label) {
+            this.simulate();
+            this.render();
+        }
+        return label;
+    }
+    
+    moveComponent(id, x, y) {
+        const component = this.getComponentById(id);
+        if (component) {
+            component.x = x;
+            component.y = y;
+            this.render();
+        }
+        return component;
+    }
+    
+    /**
+     * Set an input's value as an undoable edit (used by clicks and page scripts).
+     */
+    setInputValue(id, value) {
+        const component = this.getComponentById(id);
+        if (!component || component.type !== 'INPUT') return null;
+        
+        const before = component.value;
+        component.setValue(value);
+        this.recordInputChange(id, before, component.value);
+        this.simulate();
+        this.render();
+        return component;
+    }
+    
+    /**
+     * Set several INPUT components as one undoable edit, then settle.
+     * @param {Object} values - Input id -> value
+     */
+    setInputValues(values) {
+        this.history.batch('Set inputs', () => {
+            Object.entries(values).forEach(([id, value]) => {
+                const component = this.getComponentById(id);
+                if (component && component.type === 'INPUT') component.setValue(value);
+            });
+        });
+        this.simulate();
+        this.render();
+    }
+    
+    /**
+     * Show or hide a component's internal view as an undoable edit.
+     */
+    setExpanded(id, expanded) {
+        const component = this.getComponentById(id);
+        if (!component || typeof component.setExpanded !== 'function') return null;
+        
+        const apply = (value) => {
+            const target = this.getComponentById(id);
+            if (target) target.setExpanded(value);
+        };
+        const before = component.expanded;
+        component.setExpanded(expanded);
+        this.history.record({
+            label: `${expanded ? 'Expand' : 'Collapse'} ${id}`,
+            undo: () => apply(before),
+            redo: () => apply(expanded)
+        });
+        this.render();
+        return component;
+    }
+    
+    /**
+     * Replace a decoder, encoder, mux or demux with the same logic built from
+     * two-input AND/OR and NOT gates, moving its wires onto the gates.
+     * Gates are laid out in columns by distance from the inputs, and the
+     * whole replacement is one undoable edit.
+     * @returns {Array} the new gate components
+     */
+    expandToGates(id) {
+        const component = this.getComponentById(id);
+        if (!component || typeof component.buildGates !== 'function') {
+            throw new Error(`Component "${id}" has no gate-level expansion`);
+        }
+        
+        const builder = new GateBuilder();
+        component.buildGates(builder);
+        
+        const incoming = this.connections
+            .filter(conn => conn.to === component)
+            .map(conn => this.serializeConnection(conn));
+        const outgoing = this.connections
+            .filter(conn => conn.from === component)
+            .map(conn => this.serializeConnection(conn));
+        
+        return this.history.batch(`Expand ${id} to gates`, () => {
+            this.removeComponent(id);
+            
+            // An input pin's signal comes from whatever drove that pin
+            const bbox = component.getBoundingBox();
+            const { gates, sourcesOf } = this.placeGates(builder, bbox.left, bbox.top, id, pin => incoming
+                .filter(wire => wire.toPin === pin)
+                .map(wire => [wire.from, wire.fromPin]));
+            
+            outgoing.forEach(wire => {
+                sourcesOf(builder.outputs[wire.fromPin]).forEach(([from, fromPin]) => {
+                    this.connectComponents(from, fromPin, wire.to, wire.toPin);
+                });
+            });
+            
+            this.simulate();
+            this.render();
+            return gates;
+        });
+    }
+    
+    /**
+     * Add a GateBuilder's gates in columns by depth, starting at (left, top),
+     * and wire them to each other. `pinSources(pin)` lists the
+     * [componentId, pinName] pairs that drive one of the builder's inputs.
+     * @returns {Object} { gates, sourcesOf } where sourcesOf(signal) lists
+     *     the drivers of any signal in the builder
+     */
+    placeGates(builder, left, top, prefix, pinSources) {
+        const rows = [];
+        const gates = builder.gates.map(gate => {
+            rows[gate.depth] = (rows[gate.depth] || 0) + 1;
+            const x = this.snapToGrid(left + (gate.depth - 1) * 80);
+            const y = this.snapToGrid(top + (rows[gate.depth] - 1) * 50);
+            return this.addComponent(gate.type, this.generateId(`${prefix}_${gate.type}`), x, y);
+        });
+        
+        const sourcesOf = (signal) => (signal.pin !== undefined
+            ? pinSources(signal.pin)
+            : [[gates[signal.gate].id, 'Y']]);
+        
+        builder.gates.forEach((gate, i) => {
+            gate.inputs.forEach((signal, pin) => {
+                sourcesOf(signal).forEach(([from, fromPin]) => this.connectComponents(from, fromPin, gates[i].id, pin));
+            });
+        });
+        
+        return { gates, sourcesOf };
+    }
+    
+    /**
+     * Build a gate circuit for a Boolean expression as one undoable edit: an
+     * INPUT per variable down the left, two-input gates in columns by depth
+     * and an OUTPUT on the right.
+     * @param {string|BooleanExpression} expression
+     * @param {Object} options - x and y of the top-left corner, output label (default 'F')
+     * @returns {Object} { inputs, gates, output } components
+     */
+    synthesizeExpression(expression, options = {}) {
+        const parsed = typeof expression === 'string' ? BooleanExpression.parse(expression) : expression;
+        const folded = parsed.foldConstants();
+        if (folded.tree.op === 'CONST') {
+            throw new Error(`Expression is always ${folded.tree.value ? 1 : 0}; there are no gates to build`);
+        }
+        
+        const builder = new GateBuilder();
+        folded.buildGates(builder);
+        
+        const left = options.x !== undefined ? options.x : 60;
+        const top = options.y !== undefined ? options.y : 60;
+        const depth = Math.max(0, ...builder.gates.map(gate => gate.depth));
+        const variables = folded.variables;
+        
+        return this.history.batch(`Build ${parsed.toString()}`, () => {
+            const inputs = variables.map((name, i) => this.addComponent(
+                'INPUT', this.generateId('in'), left, this.snapToGrid(top + i * 60), { label: name }
+            ));
+            const { gates, sourcesOf } = this.placeGates(builder, left + 100, top, 'expr', name => [
+                [inputs[variables.indexOf(name)].id, 'OUT']
+            ]);
+            
+            const output = this.addComponent(
+                'OUTPUT', this.generateId('out'),
+                this.snapToGrid(left + 100 + depth * 80),
+                this.snapToGrid(top + (variables.length - 1) * 30),
+                { label: options.output || 'F' }
+            );
+            sourcesOf(builder.outputs.Y).forEach(([from, fromPin]) => this.connectComponents(from, fromPin, output.id, 'IN'));
+            
+            this.simulate();
+            this.render();
+            return { inputs, gates, output };
+        });
+    }
+    
+    /**
+     * Write one RAM byte as an undoable edit (used by the memory editor).
+     */
+    setMemory(id, address, value) {
+        const component = this.getComponentById(id);
+        if (!component || component.type !== 'RAM') return null;
+        
+        const before = component.getState();
+        component.memory[address] = value & 0xFF;
+        component.updateOutputs();
+        this.recordStateChange(id, `Set ${id}[${address}]`, before, component.getState());
+        this.simulate();
+        this.render();
+        return component;
+    }
+    
+    /**
+     * Replace a RAM's contents with a v2.0 raw image as one undoable edit.
+     * Parse errors are thrown before anything changes.
+     */
+    loadMemoryImage(id, text) {
+        const component = this.getComponentById(id);
+        if (!component || component.type !== 'RAM') return null;
+        
+        const before = component.getState();
+        component.loadImage(text);
+        this.recordStateChange(id, `Load ${id} image`, before, component.getState());
+        this.simulate();
         this.render();
         return component;
     }
     
+    recordStateChange(id, label, before, after) {
+        const apply = (state) => {
+            const component = this.getComponentById(id);
+            if (component) component.setState(state);
+        };
+        this.history.record({
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+    
+    recordInputChange(id, before, after) {
+        const apply = (value) => {
+            const component = this.getComponentById(id);
+            if (component) component.value = value;
+        };
+        this.history.record({
+            label: `Set ${id}`,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+    
+    /**
+     * Generate an id not used by any component, e.g. "and_3".
+     */
+    generateId(type) {
+        const prefix = type.toLowerCase();
+        let n = 1;
+        while (this.getComponentById(`${prefix}_${n}`)) {
+            n++;
+        }
+        return `${prefix}_${n}`;
+    }
+    
     removeComponent(id) {
         const index = this.components.findIndex(comp => comp.id === id);
         if (index !== -1) {
+            const data = this.serializeComponent(this.components[index]);
+            const wires = this.connections
+                .filter(conn => conn.from.id === id || conn.to.id === id)
+                .map(conn => this.serializeConnection(conn));
+            this.history.record({
+                label: `Remove ${id}`,
+                undo: () => {
+                    this.restoreComponent(data);
+                    wires.forEach(wire => this.restoreConnection(wire));
+                },
+                redo: () => this.removeComponent(id)
+            });
+            
             // Remove connections involving this component
             this.connections = this.connections.filter(conn => 
                 conn.from.id !== id && conn.to.id !== id
             );
             
+            this.drivenValues.delete(this.components[index]);
+            this.probes = this.probes.filter(probe => probe.component !== this.components[index]);
             this.components.splice(index, 1);
+            this.contentions.forEach(key => {
+                if (key.startsWith(`${id}:`)) this.contentions.delete(key);
+            });
             
             if (this.selectedComponent && this.selectedComponent.id === id) {
                 this.selectedComponent = null;
             }
+            if (this.selectedConnection && !this.connections.includes(this.selectedConnection)) {
+                this.selectedConnection = null;
+            }
             
             this.render();
         }
     }
     
+    /**
+     * Wire an output pin to an input pin. Pins may be given by index or name.
+     * Throws if either pin does not exist on its component or if the two
+     * pins have different bit widths.
+     */
     connectComponents(fromId, fromOutput, toId, toInput) {
         const fromComponent = this.components.find(c => c.id === fromId);
         const toComponent = this.components.find(c => c.id === toId);
         
         if (fromComponent && toComponent) {
-            const connection = new CircuitConnection(fromComponent, fromOutput, toComponent, toInput);
+            const outputPin = fromComponent.getPin('output', fromOutput);
+            const inputPin = toComponent.getPin('input', toInput);
+            
+            if (!outputPin) {
+                throw new Error(`Component "${fromId}" (${fromComponent.type}) has no output pin ${fromOutput}`);
+            }
+            if (!inputPin) {
+                throw new Error(`Component "${toId}" (${toComponent.type}) has no input pin ${toInput}`);
+            }
+            if (outputPin.width !== inputPin.width) {
+                throw new Error(
+                    `Width mismatch: ${fromId}.${outputPin.name} is ${outputPin.width} bit(s) ` +
+                    `but ${toId}.${inputPin.name} is ${inputPin.width} bit(s)`
+                );
+            }
+            
+            const connection = new CircuitConnection(
+                fromComponent, outputPin.index, toComponent, inputPin.index, outputPin.width
+            );
             this.connections.push(connection);
+            
+            const data = this.serializeConnection(connection);
+            this.history.record({
+                label: `Connect ${fromId} to ${toId}`,
+                undo: () => this.removeConnection(this.findConnection(data)),
+                redo: () => this.restoreConnection(data)
+            });
+            
+            // Force the source to re-drive its wires on the next run
+            this.drivenValues.delete(fromComponent);
+            
             this.render();
             return connection;
         }
@@ -668,68 +2026,405 @@ class CircuitSimulator {
         return null;
     }
     
-    simulate() {
-        // Topological sort to determine simulation order
-        const sorted = this.topologicalSort();
+    removeConnection(connection) {
+        const index = this.connections.indexOf(connection);
+        if (index === -1) return;
+        
+        const data = this.serializeConnection(connection);
+        this.history.record({
+            label: `Disconnect ${data.from} from ${data.to}`,
+            undo: () => this.restoreConnection(data),
+            redo: () => this.removeConnection(this.findConnection(data))
+        });
+        
+        this.connections.splice(index, 1);
+        if (this.selectedConnection === connection) {
+            this.selectedConnection = null;
+        }
+        
+        // Re-resolve the input it drove; an input left with no drivers takes
+        // the pull value if one is set, else the component's own default
+        const { to, toInput } = connection;
+        const stillDriven = this.connections.some(conn => conn.to === to && conn.toInput === toInput);
+        let value = to.defaultInputValue(toInput);
+        if (stillDriven) {
+            value = this.resolveInput(to, toInput);
+        } else if (this.options.pull !== 'none') {
+            value = Logic.resolve([], this.options.pull, connection.width).value;
+        }
+        to.setInputValue(toInput, value);
+        this.contentions.delete(`${to.id}:${toInput}`);
         
-        // Simulate each component in order
-        sorted.forEach(component => {
-            if (component.type !== 'INPUT') {
-                component.compute();
+        this.simulate();
+        this.render();
+    }
+    
+    // Insert a bend point where it best fits along the wire's current route
+    addBendPoint(connection, x, y) {
+        const point = { x: this.snapToGrid(x), y: this.snapToGrid(y) };
+        const anchors = [connection.getOutputPosition(), ...connection.points, connection.getInputPosition()];
+        
+        let bestIndex = 0;
+        let bestCost = Infinity;
+        for (let i = 0; i < anchors.length - 1; i++) {
+            const cost = Math.hypot(anchors[i].x - point.x, anchors[i].y - point.y) +
+                Math.hypot(anchors[i + 1].x - point.x, anchors[i + 1].y - point.y) -
+                Math.hypot(anchors[i + 1].x - anchors[i].x, anchors[i + 1].y - anchors[i].y);
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestIndex = i;
             }
-        });
+        }
         
-        // Update connections
-        this.connections.forEach(connection => {
-            connection.value = connection.from.compute();
-            
-            // Update input of connected component
-            if (connection.to.type !== 'OUTPUT') {
-                connection.to.inputs[connection.toInput] = connection.value;
-            } else {
-                connection.to.setValue(connection.value);
+        const before = connection.points.map(bend => ({ ...bend }));
+        connection.points.splice(bestIndex, 0, point);
+        this.recordRoute(connection, before, 'Add bend point');
+        this.render();
+        return point;
+    }
+    
+    removeBendPoint(connection, index) {
+        const before = connection.points.map(point => ({ ...point }));
+        connection.points.splice(index, 1);
+        this.recordRoute(connection, before, 'Remove bend point');
+        this.render();
+    }
+    
+    // Record a change to a wire's bend points as an undoable edit
+    recordRoute(connection, before, label) {
+        const after = connection.points.map(point => ({ ...point }));
+        const data = this.serializeConnection(connection);
+        const apply = (points) => {
+            const target = this.findConnection(data);
+            if (target) {
+                target.points = points.map(point => ({ ...point }));
+                this.render();
             }
+        };
+        this.history.record({
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
         });
     }
     
-    topologicalSort() {
-        // Simple topological sort for component simulation order
-        const visited = new Set();
-        const result = [];
-        
-        const visit = (component) => {
-            if (visited.has(component.id)) return;
+    /**
+     * Run the event-driven simulation until no changes remain.
+     *
+     * Every component is re-evaluated at the current time. When its output
+     * changes, the new value is scheduled to reach its wires after the
+     * component's propagation delay, and the receiving components are
+     * evaluated when it arrives. Feedback loops settle naturally or are
+     * reported as oscillating once options.maxEvents is exceeded.
+     *
+     * @param {Object} [runOptions]
+     * @param {number} [runOptions.maxTime] - Stop before events later than this time
+     * @param {number} [runOptions.maxEvents] - Override options.maxEvents for this run
+     * @returns {{settled: boolean, oscillating: boolean, startTime: number, time: number, settleTime: number, eventCount: number}}
+     */
+    simulate(runOptions = {}) {
+        const maxTime = runOptions.maxTime !== undefined ? runOptions.maxTime : Infinity;
+        const maxEvents = runOptions.maxEvents || this.options.maxEvents;
+        const startTime = this.simulationTime;
+        let settleTime = startTime;
+        let eventCount = 0;
+        
+        // New probes start from the values on their pins; after that only
+        // delivered events count, as outputs may be ahead of their events
+        this.probes
+            .filter(probe => probe.samples.length === 0)
+            .forEach(probe => probe.record(startTime));
+        
+        // Seed the queue with the current state of every component
+        this.components.forEach(component => this.evaluateComponent(component));
+        
+        while (!this.eventQueue.isEmpty() && this.eventQueue.peekTime() <= maxTime) {
+            if (eventCount >= maxEvents) break;
             
-            visited.add(component.id);
+            const batch = this.eventQueue.popSimultaneous();
+            this.simulationTime = batch[0].time;
+            eventCount += batch.length;
             
-            // Visit dependencies first (components that feed into this one)
-            this.connections
-                .filter(conn => conn.to.id === component.id)
-                .forEach(conn => visit(conn.from));
+            // Apply every change for this instant before evaluating receivers
+            const affected = new Set();
+            batch.forEach(event => {
+                this.probes
+                    .filter(probe => probe.matches(event.component, 'output', event.pin))
+                    .forEach(probe => probe.record(this.simulationTime, event.value));
+                this.connections
+                    .filter(conn => conn.from === event.component && conn.fromOutput === event.pin)
+                    .forEach(conn => {
+                        if (this.deliverValue(conn, event.value)) {
+                            affected.add(conn.to);
+                            settleTime = this.simulationTime;
+                        }
+                    });
+            });
+            this.probes
+                .filter(probe => probe.direction === 'input' && affected.has(probe.component))
+                .forEach(probe => probe.record(this.simulationTime));
             
-            result.push(component);
-        };
-        
-        this.components.forEach(component => visit(component));
+            affected.forEach(component => this.evaluateComponent(component));
+        }
         
-        return result;
-    }
-    
-    startAnimation() {
-        if (this.isSimulating) return;
+        const settled = this.eventQueue.isEmpty();
+        const oscillating = !settled && eventCount >= maxEvents;
         
-        this.isSimulating = true;
+        if (oscillating) {
+            // Drop the runaway events so the next run starts clean
+            this.eventQueue.clear();
+            this.drivenValues.clear();
+        } else if (!settled) {
+            this.simulationTime = maxTime;
+        }
         
-        const animate = () => {
-            if (!this.isSimulating) return;
-            
-            this.simulate();
-            this.render();
-            
-            this.animationFrame = requestAnimationFrame(animate);
+        this.lastSimulation = {
+            settled,
+            oscillating,
+            startTime,
+            time: this.simulationTime,
+            settleTime,
+            eventCount
         };
         
-        animate();
+        return this.lastSimulation;
+    }
+    
+    evaluateComponent(component) {
+        // Output components only display the value delivered to them
+        if (component.type === 'OUTPUT') return;
+        
+        component.compute();
+        
+        if (!this.drivenValues.has(component)) {
+            this.drivenValues.set(component, []);
+        }
+        const driven = this.drivenValues.get(component);
+        
+        // Schedule a change for each output pin whose value differs
+        component.outputPins.forEach((pin, index) => {
+            const value = component.getOutputValue(index);
+            if (index in driven && driven[index] === value) return;
+            
+            driven[index] = value;
+            this.eventQueue.schedule(this.simulationTime + component.delay, {
+                component: component,
+                pin: index,
+                value: value
+            });
+        });
+    }
+    
+    deliverValue(connection, value) {
+        const previous = connection.to.getInputValue(connection.toInput);
+        
+        connection.value = value;
+        const resolved = this.resolveInput(connection.to, connection.toInput);
+        connection.to.setInputValue(connection.toInput, resolved);
+        
+        return previous !== resolved;
+    }
+    
+    // Combine every wire driving one input pin into a single value
+    resolveInput(component, inputIndex) {
+        const drivers = this.connections.filter(conn => conn.to === component && conn.toInput === inputIndex);
+        const width = drivers.length > 0 ? drivers[0].width : 1;
+        const result = Logic.resolve(drivers.map(conn => conn.value), this.options.pull, width);
+        
+        const key = `${component.id}:${inputIndex}`;
+        if (result.contention) {
+            this.contentions.add(key);
+        } else {
+            this.contentions.delete(key);
+        }
+        
+        return result.value;
+    }
+    
+    setComponentDelay(id, delay) {
+        const component = this.getComponentById(id);
+        if (component) {
+            component.delay = Math.max(0, delay);
+        }
+        return component;
+    }
+    
+    resetSimulation() {
+        this.eventQueue.clear();
+        this.drivenValues.clear();
+        this.contentions.clear();
+        this.simulationTime = 0;
+        this.clockTime = 0;
+        this.lastSimulation = null;
+        this.getClocks().forEach(clock => clock.setTime(0));
+        this.probes.forEach(probe => probe.clear());
+    }
+    
+    /* ----- Signal probes ----- */
+    
+    /**
+     * Watch a pin in the waveform view. Probing a pin that already has a
+     * probe returns the existing one.
+     * @param {string} componentId - Component that owns the pin
+     * @param {number|string} pin - Pin index or name
+     * @param {string} direction - 'input' or 'output'
+     * @param {string} label - Signal name, defaults to "id.PIN"
+     * @returns {SignalProbe} The probe
+     */
+    addProbe(componentId, pin, direction = 'output', label = null) {
+        const component = this.getComponentById(componentId);
+        if (!component) {
+            throw new Error(`Unknown component "${componentId}"`);
+        }
+        const found = component.getPin(direction, pin);
+        if (!found) {
+            throw new Error(`${componentId} has no ${direction} pin "${pin}"`);
+        }
+        
+        const existing = this.getProbe(component, direction, found.index);
+        if (existing) return existing;
+        
+        const probe = new SignalProbe(component, direction, found.index, label);
+        probe.record(this.simulationTime);
+        this.probes.push(probe);
+        this.render();
+        return probe;
+    }
+    
+    // A wire is probed at the output pin that drives it
+    addWireProbe(connection, label = null) {
+        return this.addProbe(connection.from.id, connection.fromOutput, 'output', label);
+    }
+    
+    getProbe(component, direction, index) {
+        return this.probes.find(probe => probe.matches(component, direction, index)) || null;
+    }
+    
+    removeProbe(probe) {
+        this.probes = this.probes.filter(other => other !== probe);
+        this.render();
+    }
+    
+    toggleProbe(component, direction, index) {
+        const probe = this.getProbe(component, direction, index);
+        if (probe) {
+            this.removeProbe(probe);
+            return null;
+        }
+        return this.addProbe(component.id, index, direction);
+    }
+    
+    /* ----- Clock time base ----- */
+    
+    getClocks() {
+        return this.components.filter(component => component instanceof ClockComponent);
+    }
+    
+    /**
+     * Advance to the next edge of any clock and let the circuit respond.
+     * Without clocks this simply settles the circuit.
+     * @returns {Object} The simulate() result after the edge
+     */
+    tick() {
+        const clocks = this.getClocks();
+        if (clocks.length === 0) {
+            return this.simulate();
+        }
+        
+        const edge = Math.min(...clocks.map(clock => clock.nextEdgeAfter(this.clockTime)));
+        
+        // Let changes already in flight land before the clocks switch
+        this.simulate({ maxTime: edge });
+        
+        this.simulationTime = edge;
+        this.clockTime = edge;
+        clocks.forEach(clock => clock.setTime(edge));
+        
+        // Settle, leaving anything slower than the next edge in the queue
+        const nextEdge = Math.min(...clocks.map(clock => clock.nextEdgeAfter(edge)));
+        const result = this.simulate({ maxTime: nextEdge });
+        this.simulationTime = Math.min(this.simulationTime, nextEdge);
+        
+        return result;
+    }
+    
+    /**
+     * Run a number of full cycles of one clock (the first clock by default).
+     */
+    runCycles(count = 1, clockId = null) {
+        const clock = clockId ? this.getComponentById(clockId) : this.getClocks()[0];
+        if (!(clock instanceof ClockComponent)) {
+            throw new Error(clockId ? `Component "${clockId}" is not a clock` : 'Circuit has no clock');
+        }
+        
+        const targetEdges = clock.edgeCount + count * clock.edgesPerCycle;
+        let result = null;
+        while (clock.edgeCount < targetEdges) {
+            result = this.tick();
+        }
+        
+        this.render();
+        return result;
+    }
+    
+    /**
+     * Tick until condition(simulator) returns true or maxTicks is reached.
+     * @returns {{met: boolean, ticks: number, time: number}}
+     */
+    runUntil(condition, options = {}) {
+        const maxTicks = options.maxTicks || 1000;
+        let ticks = 0;
+        let met = condition(this);
+        
+        while (!met && ticks < maxTicks) {
+            this.tick();
+            ticks++;
+            met = condition(this);
+        }
+        
+        this.render();
+        return { met, ticks, time: this.simulationTime };
+    }
+    
+    // Process every clock edge up to the given time
+    advanceTo(time) {
+        const clocks = this.getClocks();
+        if (clocks.length === 0) {
+            return this.simulate();
+        }
+        
+        let result = null;
+        while (Math.min(...clocks.map(clock => clock.nextEdgeAfter(this.clockTime))) <= time) {
+            result = this.tick();
+        }
+        return result;
+    }
+    
+    /**
+     * Run in real time. Clock frequencies are in Hz of simulated time, one
+     * simulation time unit is one millisecond, and options.speed scales
+     * simulated time against wall-clock time.
+     */
+    startAnimation() {
+        if (this.isSimulating) return;
+        
+        this.isSimulating = true;
+        let lastFrame = performance.now();
+        let runTime = this.clockTime;
+        
+        const animate = (now = performance.now()) => {
+            if (!this.isSimulating) return;
+            
+            runTime += (now - lastFrame) * this.options.speed;
+            lastFrame = now;
+            
+            this.advanceTo(runTime);
+            this.render();
+            
+            this.animationFrame = requestAnimationFrame(animate);
+        };
+        
+        animate();
     }
     
     stopAnimation() {
@@ -740,7 +2435,315 @@ class CircuitSimulator {
         }
     }
     
+    /**
+     * Build Run/Pause, Step and Run-N-cycles buttons for the clock.
+     * @param {HTMLElement} container - Element the controls are appended to
+     * @returns {HTMLElement} The control group element
+     */
+    createClockControls(container) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `
+            <h4>Clock</h4>
+            <div class="flex flex-wrap items-center">
+                <button type="button" class="btn btn-small btn-primary" data-action="run">Run</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="step">Step</button>
+                <input type="number" class="input" min="1" value="1" aria-label="Cycles to run" style="width: 5em;">
+                <button type="button" class="btn btn-small btn-secondary" data-action="cycles">Run cycles</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="time">t = 0</p>
+        `;
+        
+        const runButton = group.querySelector('[data-action="run"]');
+        const cyclesInput = group.querySelector('input');
+        const timeDisplay = group.querySelector('[data-role="time"]');
+        
+        const updateDisplay = () => {
+            runButton.textContent = this.isSimulating ? 'Pause' : 'Run';
+            timeDisplay.textContent = `t = ${this.simulationTime}`;
+        };
+        
+        runButton.addEventListener('click', () => {
+            if (this.isSimulating) {
+                this.stopAnimation();
+            } else {
+                this.startAnimation();
+            }
+            updateDisplay();
+        });
+        
+        group.querySelector('[data-action="step"]').addEventListener('click', () => {
+            this.stopAnimation();
+            this.tick();
+            this.render();
+            updateDisplay();
+        });
+        
+        group.querySelector('[data-action="cycles"]').addEventListener('click', () => {
+            this.stopAnimation();
+            if (this.getClocks().length > 0) {
+                this.runCycles(Math.max(1, parseInt(cyclesInput.value, 10) || 1));
+            }
+            updateDisplay();
+        });
+        
+        container.appendChild(group);
+        return group;
+    }
+    
+    /**
+     * Build a hex editor for a RAM component: a 16x16 grid of byte cells that
+     * follows the RAM while the circuit runs, with image load and save.
+     * @param {HTMLElement} container - Element the editor is appended to
+     * @param {string} id - Id of the RAM component
+     * @returns {HTMLElement} The control group element
+     */
+    createMemoryEditor(container, id) {
+        const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, '0');
+        const digits = Array.from({ length: 16 }, (_, i) => hex(i, 1));
+        
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `
+            <h4>RAM ${id}</h4>
+            <table class="truth-table memory-grid">
+                <thead>
+                    <tr><th scope="col"></th>${digits.map(d => `<th scope="col">_${d}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${digits.map((row, r) => `
+                        <tr>
+                            <th scope="row">${row}_</th>
+                            ${digits.map((_, c) => `<td><input type="text" class="memory-cell" maxlength="2" data-address="${r * 16 + c}" aria-label="Address 0x${hex(r * 16 + c)}"></td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="flex flex-wrap items-center">
+                <label class="btn btn-small btn-secondary">
+                    Load image <input type="file" accept=".txt,.hex,.img" hidden>
+                </label>
+                <button type="button" class="btn btn-small btn-secondary" data-action="save">Save image</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="status"></p>
+        `;
+        
+        const cells = Array.from(group.querySelectorAll('.memory-cell'));
+        const fileInput = group.querySelector('input[type="file"]');
+        const status = group.querySelector('[data-role="status"]');
+        
+        const showStatus = (message, isError = false) => {
+            status.textContent = message;
+            status.className = isError ? 'text-error' : 'text-muted';
+        };
+        
+        const refresh = () => {
+            const ram = this.getComponentById(id);
+            if (!ram) return;
+            
+            const row = ram.state.mar >> 4;
+            const column = ram.state.mar & 0xF;
+            cells.forEach((cell, address) => {
+                if (document.activeElement !== cell) {
+                    cell.value = hex(ram.memory[address]);
+                }
+                cell.parentElement.className = [
+                    (address >> 4) === row ? 'selected-row' : '',
+                    (address & 0xF) === column ? 'selected-column' : '',
+                    address === ram.state.mar ? 'selected' : ''
+                ].filter(Boolean).join(' ');
+            });
+        };
+        
+        cells.forEach((cell, address) => {
+            cell.addEventListener('change', () => {
+                const text = cell.value.trim();
+                if (!/^[0-9a-f]{1,2}$/i.test(text)) {
+                    showStatus(`0x${hex(address)}: "${text}" is not a hex byte (00-FF)`, true);
+                    cell.value = hex(this.getComponentById(id).memory[address]);
+                    return;
+                }
+                this.setMemory(id, address, parseInt(text, 16));
+                showStatus('');
+            });
+        });
+        
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                try {
+                    this.loadMemoryImage(id, text);
+                    showStatus(`Loaded ${file.name}`);
+                } catch (error) {
+                    showStatus(error.message, true);
+                }
+                fileInput.value = '';
+            });
+        });
+        
+        group.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const ram = this.getComponentById(id);
+            if (!ram) return;
+            
+            const blob = new Blob([ram.toImage()], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${id}.txt`;
+            link.click();
+        });
+        
+        this.panels.push(refresh);
+        refresh();
+        
+        container.appendChild(group);
+        return group;
+    }
+    
+    /**
+     * Build a truth table of the circuit on the canvas. Clicking a row sets
+     * the inputs to that combination; Regenerate reads the circuit again.
+     * @param {HTMLElement} container - Element the table is appended to
+     * @param {Object} options - Options for TruthTableGenerator.fromCircuit()
+     * @returns {HTMLElement} The control group element
+     */
+    createTruthTable(container, options = {}) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `
+            <h4>Truth table</h4>
+            <div class="flex flex-wrap items-center">
+                <button type="button" class="btn btn-small btn-primary" data-action="generate">Regenerate</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="note"></p>
+            <div data-role="table"></div>
+        `;
+        
+        const note = group.querySelector('[data-role="note"]');
+        const tableContainer = group.querySelector('[data-role="table"]');
+        
+        const generate = () => {
+            const truthTable = TruthTableGenerator.fromCircuit(this, options);
+            if (truthTable.inputs.length === 0) {
+                tableContainer.innerHTML = '';
+                note.textContent = 'Add INPUT components to build a truth table.';
+                return;
+            }
+            
+            const table = TruthTableGenerator.renderTable(tableContainer, truthTable.rows, {
+                outputs: truthTable.outputs.map(output => output.name)
+            });
+            table.classList.add('clickable-rows');
+            note.textContent = truthTable.truncated
+                ? `Showing the first ${truthTable.rows.length} of ${truthTable.totalRows} rows. Click a row to apply it.`
+                : 'Click a row to apply it.';
+            
+            table.querySelectorAll('tbody tr').forEach((tr, index) => {
+                tr.addEventListener('click', () => {
+                    const values = {};
+                    truthTable.inputs.forEach(input => {
+                        values[input.id] = truthTable.rows[index][input.name];
+                    });
+                    this.setInputValues(values);
+                    TruthTableGenerator.highlightRow(table, index);
+                });
+            });
+        };
+        
+        group.querySelector('[data-action="generate"]').addEventListener('click', generate);
+        generate();
+        
+        container.appendChild(group);
+        return group;
+    }
+    
+    /**
+     * Build an expression box that shows a truth table for a Boolean
+     * expression, builds it as gates on the canvas, or reads the expression
+     * of the circuit's first OUTPUT back into the box.
+     * @param {HTMLElement} container - Element the controls are appended to
+     * @returns {HTMLElement} The control group element
+     */
+    createExpressionEditor(container) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `
+            <h4>Boolean expression</h4>
+            <div class="flex flex-wrap items-center">
+                <input type="text" class="input" placeholder="A&middot;B' + C" aria-label="Boolean expression" style="min-width: 16em;">
+                <button type="button" class="btn btn-small btn-primary" data-action="table">Truth table</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="build">Build circuit</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="read">From circuit</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="status"></p>
+            <div data-role="table"></div>
+        `;
+        
+        const input = group.querySelector('input');
+        const status = group.querySelector('[data-role="status"]');
+        const tableContainer = group.querySelector('[data-role="table"]');
+        
+        const showStatus = (message, isError = false) => {
+            status.textContent = message;
+            status.className = isError ? 'text-error' : 'text-muted';
+        };
+        
+        // Run an action, reporting parse and build errors under the box
+        const attempt = (action) => {
+            try {
+                action();
+            } catch (error) {
+                showStatus(error.message, true);
+            }
+        };
+        
+        group.querySelector('[data-action="table"]').addEventListener('click', () => attempt(() => {
+            const expression = BooleanExpression.parse(input.value);
+            TruthTableGenerator.renderTable(tableContainer, expression.toTruthTable(), {
+                outputLabel: expression.toString()
+            });
+            showStatus(`Variables: ${expression.variables.join(', ')}`);
+        }));
+        
+        group.querySelector('[data-action="build"]').addEventListener('click', () => attempt(() => {
+            const { gates } = this.synthesizeExpression(input.value);
+            showStatus(`Built with ${gates.length} gates`);
+        }));
+        
+        group.querySelector('[data-action="read"]').addEventListener('click', () => attempt(() => {
+            input.value = BooleanExpression.fromCircuit(this).toString();
+            showStatus('Read from the circuit');
+        }));
+        
+        container.appendChild(group);
+        return group;
+    }
+    
+    /**
+     * Build a Karnaugh map view that can read this circuit and build its
+     * minimized form on the canvas.
+     * @param {HTMLElement} container - Element the view is appended to
+     * @returns {KarnaughMap} The view; its control group is view.group
+     */
+    createKarnaughMap(container) {
+        return new KarnaughMap(container, { simulator: this });
+    }
+    
+    /**
+     * Build a waveform view of this simulator's probes. Alt-click a pin or
+     * wire, or select a wire and press P, to add or remove a probe.
+     * @param {HTMLElement} container - Element the view is appended to
+     * @param {Object} options - WaveformView options (width, scale)
+     * @returns {WaveformView} The view; its control group is view.group
+     */
+    createWaveformView(container, options = {}) {
+        return new WaveformView(container, this, options);
+    }
+    
     render() {
+        if (!this.ctx) return;
+        
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -751,7 +2754,7 @@ class CircuitSimulator {
         
         // Draw connections first (behind components)
         this.connections.forEach(connection => {
-            connection.draw(this.ctx, this.options.enableAnimation && this.isSimulating);
+            connection.draw(this.ctx, this.options.enableAnimation && this.isSimulating, this.options.busValueFormat);
         });
         
         // Draw components
@@ -759,10 +2762,56 @@ class CircuitSimulator {
             component.draw(this.ctx);
         });
         
+        this.drawContentionMarkers();
+        this.drawProbeMarkers();
+        this.drawWiringOverlay();
+        
         // Draw selection indicator
         if (this.selectedComponent) {
             this.drawSelectionIndicator(this.selectedComponent);
         }
+        
+        if (this.statusMessage) {
+            this.drawStatusMessage();
+        }
+        
+        this.panels.forEach(refresh => refresh());
+    }
+    
+    // Hovered pin ring and the wire being dragged out
+    drawWiringOverlay() {
+        if (this.hoverPin) {
+            const pos = this.hoverPin.component.getPinPosition(this.hoverPin.direction, this.hoverPin.index);
+            this.ctx.strokeStyle = '#f59e0b';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 7, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        }
+        
+        if (this.wiring) {
+            const start = this.wiring.component.getPinPosition('output', this.wiring.pin);
+            this.ctx.strokeStyle = '#2563eb';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(this.wiring.x, start.y);
+            this.ctx.lineTo(this.wiring.x, this.wiring.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+    
+    drawStatusMessage() {
+        const height = this.canvas.height / (window.devicePixelRatio || 1);
+        
+        this.ctx.fillStyle = 'rgba(254, 226, 226, 0.95)';
+        this.ctx.fillRect(0, height - 24, this.canvas.width, 24);
+        this.ctx.fillStyle = '#991b1b';
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.statusMessage, 8, height - 8);
     }
     
     drawGrid() {
@@ -790,6 +2839,35 @@ class CircuitSimulator {
         }
     }
     
+    // Ring every input pin whose drivers disagree
+    drawContentionMarkers() {
+        this.contentions.forEach(key => {
+            const separator = key.lastIndexOf(':');
+            const component = this.getComponentById(key.slice(0, separator));
+            if (!component) return;
+            
+            const pos = component.getPinPosition('input', Number(key.slice(separator + 1)));
+            this.ctx.strokeStyle = '#dc2626';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 8, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        });
+    }
+    
+    drawProbeMarkers() {
+        this.probes.forEach(probe => {
+            const pos = probe.component.getPinPosition(probe.direction, probe.index);
+            this.ctx.fillStyle = '#7c3aed';
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos.x, pos.y - 4);
+            this.ctx.lineTo(pos.x - 5, pos.y - 12);
+            this.ctx.lineTo(pos.x + 5, pos.y - 12);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+    }
+    
     drawSelectionIndicator(component) {
         const bbox = component.getBoundingBox();
         
@@ -805,10 +2883,21 @@ class CircuitSimulator {
     }
     
     clear() {
+        if (this.components.length > 0 && !this.history.suspended) {
+            this.history.batch('Clear circuit', () => this.clear());
+            return;
+        }
+        
         this.components = [];
         this.connections = [];
+        this.probes = [];
         this.selectedComponent = null;
+        this.selectedConnection = null;
+        this.wiring = null;
+        this.hoverPin = null;
+        this.statusMessage = null;
         this.stopAnimation();
+        this.resetSimulation();
         this.render();
     }
     
@@ -816,103 +2905,659 @@ class CircuitSimulator {
         return this.components.find(c => c.id === id);
     }
     
-    exportCircuit() {
+    serializeComponent(c) {
+        const data = { id: c.id, type: c.type };
+        if (c.label !== undefined) {
+            data.label = c.label;
+        }
+        data.x = c.x;
+        data.y = c.y;
+        
+        const props = { delay: c.delay };
+        CircuitSimulator.COMPONENT_PROPS.forEach(key => {
+            if (c[key] !== undefined) props[key] = c[key];
+        });
+        data.props = props;
+        
+        if (c.type === 'INPUT') {
+            data.value = c.value;
+        }
+        if (c instanceof SequentialComponent) {
+            data.state = c.getState();
+        }
+        return data;
+    }
+    
+    restoreComponent(compData) {
+        const component = this.addComponent(compData.type, compData.id, compData.x, compData.y, {
+            ...compData.props,
+            label: compData.label
+        });
+        
+        if (compData.value !== undefined && component.type === 'INPUT') {
+            component.setValue(compData.value);
+        }
+        
+        if (compData.state && component instanceof SequentialComponent) {
+            component.setState(compData.state);
+        }
+        
+        return component;
+    }
+    
+    serializeConnection(c) {
         return {
-            components: this.components.map(c => ({
-                id: c.id,
-                type: c.type,
-                x: c.x,
-                y: c.y,
-                value: c.value || c.inputs,
-                label: c.label
-            })),
-            connections: this.connections.map(c => ({
-                from: c.from.id,
-                fromOutput: c.fromOutput,
-                to: c.to.id,
-                toInput: c.toInput
-            }))
+            from: c.from.id,
+            fromPin: c.from.getPin('output', c.fromOutput).name,
+            to: c.to.id,
+            toPin: c.to.getPin('input', c.toInput).name,
+            width: c.width,
+            route: c.points.map(point => ({ x: point.x, y: point.y }))
         };
     }
     
-    importCircuit(circuitData) {
-        this.clear();
+    restoreConnection(connData) {
+        const connection = this.connectComponents(connData.from, connData.fromPin, connData.to, connData.toPin);
+        if (connection && Array.isArray(connData.route)) {
+            connection.points = connData.route.map(point => ({ x: point.x, y: point.y }));
+        }
+        return connection;
+    }
+    
+    findConnection(connData) {
+        return this.connections.find(c =>
+            c.from.id === connData.from && c.from.getPin('output', c.fromOutput).name === connData.fromPin &&
+            c.to.id === connData.to && c.to.getPin('input', c.toInput).name === connData.toPin
+        );
+    }
+    
+    /**
+     * Export the circuit as a version 2 circuit file:
+     *
+     *   {
+     *     format: 'csc210-circuit', version: 2,
+     *     components: [{ id, type, label?, x, y,
+     *                    props: { delay, bits?, drivers?, pull?, frequency?, steps?, ... },
+     *                    value? (INPUT only), state? (latches, flip-flops, registers, steppers) }],
+     *     connections: [{ from, fromPin, to, toPin, width, route: [{ x, y }] }],
+     *     subcircuits?: { name: { components, connections } }
+     *   }
+     *
+     * Pins are referenced by name, and route holds the wire's bend points.
+     * subcircuits holds every definition, including ones only placed inside
+     * other definitions; SUBCIRCUIT components name theirs in props.circuit.
+     */
+    exportCircuit() {
+        const data = {
+            format: CircuitSimulator.FILE_FORMAT,
+            version: CircuitSimulator.FILE_VERSION,
+            components: this.components.map(c => this.serializeComponent(c)),
+            connections: this.connections.map(c => this.serializeConnection(c))
+        };
+        if (Object.keys(this.subcircuits).length > 0) {
+            data.subcircuits = JSON.parse(JSON.stringify(this.subcircuits));
+        }
+        return data;
+    }
+    
+    /**
+     * Package a circuit as a subcircuit that addComponent('SUBCIRCUIT', id,
+     * x, y, { circuit: name }) can place. Its INPUT and OUTPUT components
+     * become the pins, named by their labels. By default the circuit on the
+     * canvas is packaged. A name can only be redefined while nothing uses it.
+     * @param {string} name
+     * @param {Object} [circuitData] - Circuit file data (as from exportCircuit)
+     */
+    defineSubcircuit(name, circuitData = this.exportCircuit()) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Subcircuit name must be a non-empty string');
+        }
         
-        // Add components
-        circuitData.components.forEach(compData => {
-            const component = this.addComponent(compData.type, compData.id, compData.x, compData.y, {
-                label: compData.label
-            });
-            
-            if (compData.value !== undefined) {
-                if (component.type === 'INPUT') {
-                    component.value = compData.value;
-                } else {
-                    component.inputs = compData.value;
-                }
-            }
-        });
+        const usedBy = [
+            ...this.components.map(c => c.circuit),
+            ...Object.values(this.subcircuits).flatMap(def =>
+                def.components.map(comp => comp.props && comp.props.circuit))
+        ];
+        if (this.subcircuits[name] && usedBy.includes(name)) {
+            throw new Error(`Subcircuit "${name}" is in use; remove its instances before redefining it`);
+        }
         
-        // Add connections
-        circuitData.connections.forEach(connData => {
-            this.connectComponents(connData.from, connData.fromOutput, connData.to, connData.toInput);
+        // Validate the definition together with every definition it may place
+        const definition = {
+            components: circuitData.components,
+            connections: circuitData.connections
+        };
+        const subcircuits = { ...this.subcircuits, ...(circuitData.subcircuits || {}), [name]: definition };
+        const data = CircuitSimulator.validateCircuitData({
+            format: CircuitSimulator.FILE_FORMAT,
+            version: CircuitSimulator.FILE_VERSION,
+            components: [],
+            connections: [],
+            subcircuits
         });
         
-        this.render();
+        this.history.batch(`Define ${name}`, () => {
+            this.subcircuits = JSON.parse(JSON.stringify(data.subcircuits));
+        });
+        return this.subcircuits[name];
     }
-}
-
-/* ===== TRUTH TABLE GENERATOR ===== */
-
-/**
- * Utility class for generating and managing truth tables
- */
-class TruthTableGenerator {
-    static generate(inputs, outputFunction) {
-        const numInputs = inputs.length;
-        const numRows = Math.pow(2, numInputs);
-        const table = [];
-        
-        for (let i = 0; i < numRows; i++) {
-            const row = {};
-            
-            // Generate input combinations
-            inputs.forEach((inputName, index) => {
-                row[inputName] = (i >> (numInputs - 1 - index)) & 1;
-            });
+    
+    // Name of a subcircuit that places itself, directly or through others, or null
+    static findSubcircuitCycle(definitions) {
+        const placed = name => (definitions[name].components || [])
+            .filter(comp => comp && typeof comp.type === 'string' && comp.type.toUpperCase() === 'SUBCIRCUIT')
+            .map(comp => comp.props && comp.props.circuit);
+        
+        const finished = new Set();
+        const visiting = new Set();
+        const visit = (name) => {
+            if (finished.has(name) || !definitions[name]) return null;
+            if (visiting.has(name)) return name;
             
-            // Calculate output
-            if (typeof outputFunction === 'function') {
-                const inputValues = inputs.map(name => row[name]);
-                row.output = outputFunction(...inputValues);
+            visiting.add(name);
+            for (const child of placed(name)) {
+                const cycle = visit(child);
+                if (cycle) return cycle;
             }
-            
-            table.push(row);
-        }
+            visiting.delete(name);
+            finished.add(name);
+            return null;
+        };
         
-        return table;
+        for (const name of Object.keys(definitions)) {
+            const cycle = visit(name);
+            if (cycle) return cycle;
+        }
+        return null;
     }
     
-    static renderTable(container, truthTable, options = {}) {
-        const table = document.createElement('table');
-        table.className = 'truth-table';
+    /**
+     * Replace the circuit with the contents of a circuit file. Older files are
+     * migrated first. The file is validated before anything changes, and if
+     * building it still fails the previous circuit is put back before the
+     * error is rethrown, so a bad file never leaves a half-loaded canvas.
+     */
+    importCircuit(circuitData) {
+        const data = CircuitSimulator.validateCircuitData(circuitData);
+        const previous = this.exportCircuit();
+        
+        try {
+            this.history.batch('Import circuit', () => this.loadCircuitData(data));
+        } catch (error) {
+            this.history.runSuspended(() => this.loadCircuitData(previous));
+            this.simulate();
+            this.render();
+            throw error;
+        }
+        
+        this.simulate();
+        this.render();
+    }
+    
+    /**
+     * Replace the circuit with one from a Logisim .circ file. Elements the
+     * simulator cannot represent are skipped and listed in `unsupported`.
+     * @param {string} xmlText - Contents of the .circ file
+     * @param {string} [circuitName] - Circuit to load (defaults to the file's main circuit)
+     */
+    importLogisim(xmlText, circuitName) {
+        const project = LogisimFormat.parse(xmlText);
+        const name = circuitName || project.main;
+        const { data, unsupported } = LogisimFormat.toCircuitData(project, name);
+        
+        this.importCircuit(data);
+        if (unsupported.length > 0) {
+            this.showStatus(`Imported "${name}" without ${unsupported.length} unsupported element(s)`);
+        }
+        
+        return {
+            circuit: name,
+            circuits: Object.keys(project.circuits),
+            components: data.components.length,
+            connections: data.connections.length,
+            unsupported
+        };
+    }
+    
+    /**
+     * Write the circuit as Logisim .circ XML.
+     * @returns {{xml: string, unsupported: string[]}} unsupported lists components left out
+     */
+    exportLogisim(circuitName = 'main') {
+        return LogisimFormat.write(this.components, this.connections, circuitName);
+    }
+    
+    // Rebuild from already validated version 2 data
+    loadCircuitData(data) {
+        const probes = this.probes;
+        this.clear();
+        this.subcircuits = JSON.parse(JSON.stringify(data.subcircuits || {}));
+        
+        data.components.forEach(compData => this.restoreComponent(compData));
+        data.connections.forEach((connData, i) => {
+            const where = `connections[${i}] (${connData.from}.${connData.fromPin} -> ${connData.to}.${connData.toPin})`;
+            let connection;
+            try {
+                connection = this.restoreConnection(connData);
+            } catch (error) {
+                throw new Error(`Invalid circuit file: ${where}: ${error.message}`);
+            }
+            if (connection && connData.width !== undefined && connection.width !== connData.width) {
+                throw new Error(
+                    `Invalid circuit file: ${where}: recorded width ${connData.width} ` +
+                    `does not match the ${connection.width}-bit pins`
+                );
+            }
+        });
+        
+        // Probes outlive undo and redo of whole-circuit changes
+        this.probes = probes.filter(probe => probe.reattach(this.getComponentById(probe.component.id)));
+    }
+    
+    /**
+     * Upgrade an older circuit object to the current file version.
+     * Version 1 is the unversioned shape written before the file format
+     * existed: options sat directly on each component, pins were indices
+     * and bend points were stored as "points".
+     */
+    static migrateCircuitData(data) {
+        const version = data.version === undefined ? 1 : data.version;
+        if (version !== 1) return data;
+        
+        const components = Array.isArray(data.components) ? data.components.map(comp => {
+            if (!comp || typeof comp !== 'object') return comp;
+            
+            const props = {};
+            ['delay', ...CircuitSimulator.COMPONENT_PROPS].forEach(key => {
+                if (comp[key] !== undefined && comp[key] !== null) props[key] = comp[key];
+            });
+            
+            const migrated = { id: comp.id, type: comp.type, x: comp.x, y: comp.y, props };
+            if (comp.label !== undefined) migrated.label = comp.label;
+            // Old exports wrote a component's inputs array in place of a false INPUT value
+            if (comp.type === 'INPUT' && comp.value !== undefined) {
+                migrated.value = Array.isArray(comp.value) ? false : comp.value;
+            }
+            if (comp.state) migrated.state = comp.state;
+            return migrated;
+        }) : data.components;
+        
+        const connections = Array.isArray(data.connections) ? data.connections.map(conn => {
+            if (!conn || typeof conn !== 'object') return conn;
+            return {
+                from: conn.from,
+                fromPin: conn.fromOutput,
+                to: conn.to,
+                toPin: conn.toInput,
+                route: Array.isArray(conn.points) ? conn.points : []
+            };
+        }) : data.connections;
+        
+        return {
+            format: CircuitSimulator.FILE_FORMAT,
+            version: CircuitSimulator.FILE_VERSION,
+            components,
+            connections
+        };
+    }
+    
+    /**
+     * Migrate and check a circuit file without touching any simulator.
+     * Returns the version 2 data, or throws an Error whose message lists
+     * every problem found (also available as error.errors).
+     */
+    static validateCircuitData(circuitData) {
+        const errors = [];
+        const fail = () => {
+            const error = new Error(`Invalid circuit file:\n- ${errors.join('\n- ')}`);
+            error.errors = errors;
+            return error;
+        };
+        
+        if (!circuitData || typeof circuitData !== 'object' || Array.isArray(circuitData)) {
+            errors.push('expected a circuit object');
+            throw fail();
+        }
+        if (circuitData.format !== undefined && circuitData.format !== CircuitSimulator.FILE_FORMAT) {
+            errors.push(`format is "${circuitData.format}", expected "${CircuitSimulator.FILE_FORMAT}"`);
+            throw fail();
+        }
+        if (circuitData.version !== undefined &&
+            (!Number.isInteger(circuitData.version) || circuitData.version < 1)) {
+            errors.push(`version must be a positive integer, got ${JSON.stringify(circuitData.version)}`);
+            throw fail();
+        }
+        if (circuitData.version > CircuitSimulator.FILE_VERSION) {
+            errors.push(
+                `version ${circuitData.version} was written by a newer simulator ` +
+                `(this one reads up to version ${CircuitSimulator.FILE_VERSION})`
+            );
+            throw fail();
+        }
+        
+        const data = CircuitSimulator.migrateCircuitData(circuitData);
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const isCount = (value) => Number.isInteger(value) && value >= 1;
+        
+        const definitions = data.subcircuits === undefined ? {} : data.subcircuits;
+        if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+            errors.push('subcircuits must be an object');
+            throw fail();
+        }
+        
+        // Components and connections of the top-level circuit or of one definition
+        const checkCircuit = (circuit, path) => {
+            if (!Array.isArray(circuit.components)) {
+                errors.push(`${path}components must be an array`);
+            }
+            if (!Array.isArray(circuit.connections)) {
+                errors.push(`${path}connections must be an array`);
+            }
+            if (!Array.isArray(circuit.components) || !Array.isArray(circuit.connections)) return;
+            
+            const ids = new Set();
+            circuit.components.forEach((comp, i) => {
+                const where = `${path}components[${i}]`;
+                if (!comp || typeof comp !== 'object') {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                
+                if (typeof comp.id !== 'string' || comp.id === '') {
+                    errors.push(`${where}.id must be a non-empty string`);
+                } else if (ids.has(comp.id)) {
+                    errors.push(`${where}.id "${comp.id}" is used more than once`);
+                } else {
+                    ids.add(comp.id);
+                }
+                
+                const type = typeof comp.type === 'string' ? comp.type.toUpperCase() : comp.type;
+                if (!CircuitSimulator.COMPONENT_TYPES.includes(type)) {
+                    errors.push(`${where}.type ${JSON.stringify(comp.type)} is not a known component type`);
+                }
+                if (!isNumber(comp.x) || !isNumber(comp.y)) {
+                    errors.push(`${where} needs numeric x and y`);
+                }
+                if (comp.label !== undefined && typeof comp.label !== 'string') {
+                    errors.push(`${where}.label must be a string`);
+                }
+                
+                const props = comp.props === undefined ? {} : comp.props;
+                if (!props || typeof props !== 'object' || Array.isArray(props)) {
+                    errors.push(`${where}.props must be an object`);
+                } else {
+                    Object.keys(props).forEach(key => {
+                        const value = props[key];
+                        const prop = `${where}.props.${key}`;
+                        if (key === 'delay') {
+                            if (!isNumber(value) || value < 0) errors.push(`${prop} must be a number >= 0`);
+                        } else if (key === 'pull') {
+                            if (!['none', 'down', 'up'].includes(value)) errors.push(`${prop} must be "none", "down" or "up"`);
+                        } else if (key === 'frequency') {
+                            if (!isNumber(value) || value <= 0) errors.push(`${prop} must be a positive number`);
+                        } else if (key === 'expanded') {
+                            if (typeof value !== 'boolean') errors.push(`${prop} must be true or false`);
+                        } else if (key === 'circuit') {
+                            if (typeof value !== 'string' || !Object.prototype.hasOwnProperty.call(definitions, value)) {
+                                errors.push(`${prop} must name a subcircuit defined in the file`);
+                            }
+                        } else if (key === 'select') {
+                            if (!isCount(value) || value > 8) errors.push(`${prop} must be an integer from 1 to 8`);
+                        } else if (key === 'bits') {
+                            if (!isCount(value) || value > 32) errors.push(`${prop} must be an integer from 1 to 32`);
+                        } else if (CircuitSimulator.COMPONENT_PROPS.includes(key)) {
+                            if (!isCount(value)) errors.push(`${prop} must be a positive integer`);
+                        } else {
+                            errors.push(`${prop} is not a known property`);
+                        }
+                    });
+                }
+                
+                if (type === 'SUBCIRCUIT' && !(props && props.circuit !== undefined)) {
+                    errors.push(`${where}.props.circuit must name the subcircuit to place`);
+                }
+                
+                if (comp.value !== undefined) {
+                    const bits = props && isCount(props.bits) ? props.bits : 1;
+                    const valid = bits > 1
+                        ? Number.isInteger(comp.value) && comp.value >= 0 && comp.value <= CircuitComponent.maskFor(bits)
+                        : typeof comp.value === 'boolean';
+                    if (type !== 'INPUT') {
+                        errors.push(`${where}.value is only stored for INPUT components`);
+                    } else if (!valid) {
+                        errors.push(`${where}.value must be ${bits > 1 ? `an integer that fits in ${bits} bits` : 'true or false'}`);
+                    }
+                }
+                if (comp.state !== undefined && (!comp.state || typeof comp.state !== 'object')) {
+                    errors.push(`${where}.state must be an object`);
+                }
+            });
+            
+            circuit.connections.forEach((conn, i) => {
+                const where = `${path}connections[${i}]`;
+                if (!conn || typeof conn !== 'object') {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                
+                ['from', 'to'].forEach(end => {
+                    if (!ids.has(conn[end])) {
+                        errors.push(`${where}.${end} refers to unknown component ${JSON.stringify(conn[end])}`);
+                    }
+                });
+                ['fromPin', 'toPin'].forEach(pin => {
+                    const ref = conn[pin];
+                    if (!(typeof ref === 'string' && ref !== '') && !(Number.isInteger(ref) && ref >= 0)) {
+                        errors.push(`${where}.${pin} must be a pin name or index`);
+                    }
+                });
+                if (conn.width !== undefined && !isCount(conn.width)) {
+                    errors.push(`${where}.width must be a positive integer`);
+                }
+                if (conn.route !== undefined &&
+                    (!Array.isArray(conn.route) || !conn.route.every(p => p && isNumber(p.x) && isNumber(p.y)))) {
+                    errors.push(`${where}.route must be a list of { x, y } points`);
+                }
+            });
+        };
+        
+        checkCircuit(data, '');
+        
+        Object.keys(definitions).forEach(name => {
+            const path = `subcircuits[${JSON.stringify(name)}]`;
+            const definition = definitions[name];
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            
+            checkCircuit(definition, `${path}.`);
+            if (!Array.isArray(definition.components)) return;
+            
+            // Pin names come from INPUT/OUTPUT labels and must be unique per side
+            ['INPUT', 'OUTPUT'].forEach(type => {
+                const names = new Set();
+                definition.components
+                    .filter(comp => comp && typeof comp.type === 'string' && comp.type.toUpperCase() === type)
+                    .forEach(comp => {
+                        const pin = comp.label || comp.id;
+                        if (names.has(pin)) {
+                            errors.push(`${path} has more than one ${type} pin named "${pin}"`);
+                        }
+                        names.add(pin);
+                    });
+            });
+        });
+        
+        if (errors.length === 0) {
+            const cycle = CircuitSimulator.findSubcircuitCycle(definitions);
+            if (cycle) errors.push(`subcircuit "${cycle}" contains itself`);
+        }
+        
+        if (errors.length > 0) throw fail();
+        return data;
+    }
+}
+
+/* ===== TRUTH TABLE GENERATOR ===== */
+
+/**
+ * Utility class for generating and managing truth tables
+ */
+class TruthTableGenerator {
+    static generate(inputs, outputFunction) {
+        const numInputs = inputs.length;
+        const numRows = Math.pow(2, numInputs);
+        const table = [];
+        
+        for (let i = 0; i < numRows; i++) {
+            const row = {};
+            
+            // Generate input combinations
+            inputs.forEach((inputName, index) => {
+                row[inputName] = (i >> (numInputs - 1 - index)) & 1;
+            });
+            
+            // Calculate output
+            if (typeof outputFunction === 'function') {
+                const inputValues = inputs.map(name => row[name]);
+                row.output = outputFunction(...inputValues);
+            }
+            
+            table.push(row);
+        }
+        
+        return table;
+    }
+    
+    /**
+     * Build a truth table by driving a live circuit: every combination of
+     * its INPUT components is applied in turn through evaluator() and the
+     * circuit settled before each OUTPUT is read. Columns come from
+     * circuitColumns(); the first input is the most significant, as in
+     * generate().
+     * @param {CircuitSimulator} simulator - Circuit to tabulate
+     * @param {Object} options - maxRows (default 256) caps wide circuits
+     * @returns {Object} { inputs, outputs, rows, totalRows, truncated } where
+     *     inputs and outputs are { name, id, bits } columns and each row maps
+     *     column names to 0/1, bus integers, 'X' or 'Z'
+     */
+    static fromCircuit(simulator, options = {}) {
+        const maxRows = options.maxRows || 256;
+        const { inputs, outputs, evaluate } = TruthTableGenerator.evaluator(simulator);
+        
+        const totalBits = inputs.reduce((sum, input) => sum + input.bits, 0);
+        const totalRows = Math.pow(2, totalBits);
+        const rows = [];
+        
+        for (let i = 0; i < Math.min(totalRows, maxRows); i++) {
+            // The last input takes the low bits of the row number
+            const values = [];
+            let rest = i;
+            for (let k = inputs.length - 1; k >= 0; k--) {
+                const range = Math.pow(2, inputs[k].bits);
+                values[k] = rest % range;
+                rest = Math.floor(rest / range);
+            }
+            
+            const row = {};
+            inputs.forEach((input, k) => {
+                row[input.name] = values[k];
+            });
+            rows.push(Object.assign(row, evaluate(row)));
+        }
+        
+        return {
+            inputs,
+            outputs,
+            rows,
+            totalRows,
+            truncated: rows.length < totalRows
+        };
+    }
+    
+    /**
+     * Evaluate a circuit one input combination at a time on a headless copy,
+     * so the canvas, its undo history and its probes are left alone.
+     * Sequential parts start every evaluation from the circuit's current
+     * state, so each result depends only on the inputs given.
+     * @param {CircuitSimulator} simulator - Circuit to evaluate
+     * @returns {Object} { inputs, outputs, evaluate } where the columns are
+     *     as in circuitColumns() and evaluate(values) maps input names to
+     *     values and returns output names -> 0/1, bus integer, 'X' or 'Z'
+     */
+    static evaluator(simulator) {
+        const { inputs, outputs } = TruthTableGenerator.circuitColumns(simulator);
+        const copy = new CircuitSimulator(null);
+        copy.history.runSuspended(() => copy.loadCircuitData(simulator.exportCircuit()));
+        const states = copy.components
+            .filter(component => typeof component.getState === 'function')
+            .map(component => [component, component.getState()]);
+        
+        const evaluate = (values) => {
+            states.forEach(([component, state]) => component.setState(state));
+            inputs.forEach(input => copy.getComponentById(input.id).setValue(values[input.name]));
+            
+            const result = copy.simulate();
+            const row = {};
+            outputs.forEach(output => {
+                const value = result.oscillating ? 'X' : copy.getComponentById(output.id).value;
+                row[output.name] = typeof value === 'boolean' ? Number(value) : value;
+            });
+            return row;
+        };
+        
+        return { inputs, outputs, evaluate };
+    }
+    
+    /**
+     * INPUT and OUTPUT components as { name, id, bits } columns, each list
+     * ordered top to bottom. Columns are named by label, or by id where
+     * labels repeat.
+     */
+    static circuitColumns(simulator) {
+        const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+        const inputs = simulator.components.filter(component => component.type === 'INPUT').sort(byPosition);
+        const outputs = simulator.components.filter(component => component.type === 'OUTPUT').sort(byPosition);
+        
+        const labelCounts = {};
+        [...inputs, ...outputs].forEach(component => {
+            labelCounts[component.label] = (labelCounts[component.label] || 0) + 1;
+        });
+        const column = component => ({
+            name: component.label && labelCounts[component.label] === 1 ? component.label : component.id,
+            id: component.id,
+            bits: component.bits
+        });
+        
+        return { inputs: inputs.map(column), outputs: outputs.map(column) };
+    }
+    
+    /**
+     * Render rows from generate() or fromCircuit() as a table. Columns named
+     * in options.outputs are outputs; by default only an "output" key is.
+     */
+    static renderTable(container, truthTable, options = {}) {
+        const table = document.createElement('table');
+        table.className = 'truth-table';
         
         // Create header
         const header = table.createTHead();
         const headerRow = header.insertRow();
         
-        const inputs = Object.keys(truthTable[0]).filter(key => key !== 'output');
+        const outputs = options.outputs || (truthTable[0].hasOwnProperty('output') ? ['output'] : []);
+        const inputs = Object.keys(truthTable[0]).filter(key => !outputs.includes(key));
         inputs.forEach(input => {
             const th = document.createElement('th');
             th.textContent = input;
             headerRow.appendChild(th);
         });
         
-        if (truthTable[0].hasOwnProperty('output')) {
+        outputs.forEach(output => {
             const th = document.createElement('th');
-            th.textContent = options.outputLabel || 'Output';
+            th.textContent = output === 'output' ? (options.outputLabel || 'Output') : output;
             headerRow.appendChild(th);
-        }
+        });
         
         // Create body
         const tbody = table.createTBody();
@@ -925,10 +3570,10 @@ class TruthTableGenerator {
                 td.textContent = row[input];
             });
             
-            if (row.hasOwnProperty('output')) {
+            outputs.forEach(output => {
                 const td = tr.insertCell();
-                td.textContent = row.output;
-            }
+                td.textContent = row[output];
+            });
         });
         
         // Clear container and add table
@@ -951,253 +3596,4678 @@ class TruthTableGenerator {
     }
 }
 
-/* ===== SPECIALIZED CIRCUIT COMPONENTS ===== */
+/* ===== BOOLEAN EXPRESSIONS ===== */
 
 /**
- * Half Adder circuit implementation
+ * Boolean expression in the notations used in the lessons. OR is written
+ * + or | (or the logical-or sign); XOR ^ or the circled plus; AND the
+ * middle dot, *, & or nothing at all between two factors ("A(B + C)",
+ * "A B"); NOT a trailing ' or a leading !, ~ or the logical-not sign.
+ * Precedence runs NOT, AND, XOR, OR. As in the lessons, capital letters
+ * written together are separate variables ANDed, so "A'B + AB'" has two
+ * variables; a capital may carry an index ("A0B1" is A0 AND B1). A name
+ * with a lowercase letter or underscore ("sel", "c_in") is one variable.
+ * The words AND, OR, XOR and NOT, as the labs write them, are operators.
+ * 0 and 1 are constants.
+ *
+ * The parsed tree is made of plain nodes: { op: 'VAR', name },
+ * { op: 'CONST', value }, { op: 'NOT', operand } and
+ * { op: 'AND' | 'OR' | 'XOR', operands }.
  */
-class HalfAdder extends CircuitComponent {
-    constructor(id, x = 0, y = 0) {
-        super(id, 'HALF_ADDER', x, y);
-        this.width = 80;
-        this.height = 60;
-        this.inputs = [false, false]; // A, B
-        this.outputs = [false, false]; // Sum, Carry
+class BooleanExpression {
+    static get TOKENS() {
+        return {
+            '+': 'OR', '|': 'OR', '\u2228': 'OR',
+            '^': 'XOR', '\u2295': 'XOR',
+            '\u00B7': 'AND', '*': 'AND', '&': 'AND', '\u2227': 'AND',
+            '!': 'NOT', '~': 'NOT', '\u00AC': 'NOT',
+            '\'': 'PRIME', '\u2019': 'PRIME',
+            '(': '(', ')': ')'
+        };
     }
     
-    compute() {
-        const [a, b] = this.inputs;
-        this.outputs[0] = a !== b; // Sum = A XOR B
-        this.outputs[1] = a && b;  // Carry = A AND B
-        return this.outputs;
+    // Binding strength for printing; higher binds tighter
+    static get PRECEDENCE() {
+        return { OR: 1, XOR: 2, AND: 3, NOT: 4, VAR: 5, CONST: 5 };
     }
     
-    draw(ctx) {
-        const bbox = this.getBoundingBox();
-        
-        // Draw component body
-        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
-        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
-        ctx.lineWidth = this.selected ? 2 : 1;
-        
-        ctx.beginPath();
-        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, 8);
-        ctx.fill();
-        ctx.stroke();
-        
-        // Draw label
-        ctx.fillStyle = '#1e293b';
-        ctx.font = 'bold 12px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('HALF', this.x, this.y - 5);
-        ctx.fillText('ADDER', this.x, this.y + 8);
-        
-        // Draw pins with labels
-        this.drawHalfAdderPins(ctx);
+    // Most single-bit inputs fromCircuit() will tabulate for its fallback
+    static get MAX_TABLE_INPUTS() {
+        return 12;
     }
     
-    drawHalfAdderPins(ctx) {
-        const bbox = this.getBoundingBox();
-        
-        // Input pins
-        ctx.fillStyle = this.inputs[0] ? '#059669' : '#64748b';
-        ctx.beginPath();
-        ctx.arc(bbox.left, this.y - 12, 4, 0, 2 * Math.PI);
-        ctx.fill();
+    constructor(tree) {
+        this.tree = tree;
+    }
+    
+    /**
+     * Parse expression text. Errors name the 1-based character position.
+     * @param {string} text
+     * @returns {BooleanExpression}
+     */
+    static parse(text) {
+        const tokens = BooleanExpression.tokenize(String(text));
+        let index = 0;
+        
+        const peek = () => tokens[index];
+        const fail = (message) => {
+            const token = peek();
+            throw new Error(token ? `${message} at position ${token.position}` : `${message} at end of expression`);
+        };
+        const startsFactor = token => token && ['NAME', 'CONST', 'NOT', '('].includes(token.type);
         
-        ctx.fillStyle = '#1e293b';
-        ctx.font = '10px monospace';
-        ctx.textAlign = 'right';
-        ctx.fillText('A', bbox.left - 8, this.y - 8);
+        const list = (op, parseOperand, isOperator) => {
+            const operands = [parseOperand()];
+            while (isOperator(peek())) {
+                if (peek().type === op) index++;
+                operands.push(parseOperand());
+            }
+            return operands.length === 1 ? operands[0] : { op, operands };
+        };
         
-        ctx.fillStyle = this.inputs[1] ? '#059669' : '#64748b';
-        ctx.beginPath();
-        ctx.arc(bbox.left, this.y + 12, 4, 0, 2 * Math.PI);
-        ctx.fill();
+        const parseFactor = () => {
+            const token = peek();
+            if (!token) fail('Expected a variable');
+            
+            let node;
+            if (token.type === 'NOT') {
+                index++;
+                return { op: 'NOT', operand: parseFactor() };
+            } else if (token.type === 'NAME') {
+                index++;
+                node = { op: 'VAR', name: token.value };
+            } else if (token.type === 'CONST') {
+                index++;
+                node = { op: 'CONST', value: token.value === '1' };
+            } else if (token.type === '(') {
+                index++;
+                node = parseOr();
+                if (!peek() || peek().type !== ')') fail('Expected ")"');
+                index++;
+            } else {
+                fail(`Unexpected "${token.value}"`);
+            }
+            
+            while (peek() && peek().type === 'PRIME') {
+                index++;
+                node = { op: 'NOT', operand: node };
+            }
+            return node;
+        };
         
-        ctx.fillStyle = '#1e293b';
-        ctx.fillText('B', bbox.left - 8, this.y + 16);
+        const parseAnd = () => list('AND', parseFactor, token => token && (token.type === 'AND' || startsFactor(token)));
+        const parseXor = () => list('XOR', parseAnd, token => token && token.type === 'XOR');
+        const parseOr = () => list('OR', parseXor, token => token && token.type === 'OR');
         
-        // Output pins
-        ctx.fillStyle = this.outputs[0] ? '#059669' : '#64748b';
-        ctx.beginPath();
-        ctx.arc(bbox.right, this.y - 12, 4, 0, 2 * Math.PI);
-        ctx.fill();
+        if (tokens.length === 0) {
+            throw new Error('Expression is empty');
+        }
+        const tree = parseOr();
+        if (peek()) fail(`Unexpected "${peek().value}"`);
         
-        ctx.textAlign = 'left';
-        ctx.fillStyle = '#1e293b';
-        ctx.fillText('S', bbox.right + 8, this.y - 8);
+        return new BooleanExpression(BooleanExpression.flatten(tree));
+    }
+    
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s+|([A-Za-z_][A-Za-z0-9_]*)|([01])|(.)/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            const position = match.index + 1;
+            if (['AND', 'OR', 'XOR', 'NOT'].includes(match[1])) {
+                tokens.push({ type: match[1], value: match[1], position });
+            } else if (/^(?:[A-Z][0-9]*)+$/.test(match[1] || '')) {
+                // One variable per capital letter: "AB" is A AND B
+                const letters = /[A-Z][0-9]*/g;
+                let letter;
+                while ((letter = letters.exec(match[1])) !== null) {
+                    tokens.push({ type: 'NAME', value: letter[0], position: position + letter.index });
+                }
+            } else if (match[1]) {
+                tokens.push({ type: 'NAME', value: match[1], position });
+            } else if (match[2]) {
+                tokens.push({ type: 'CONST', value: match[2], position });
+            } else if (match[3]) {
+                const type = BooleanExpression.TOKENS[match[3]];
+                if (!type) {
+                    throw new Error(`Unexpected "${match[3]}" at position ${position}`);
+                }
+                tokens.push({ type, value: match[3], position });
+            }
+        }
         
-        ctx.fillStyle = this.outputs[1] ? '#059669' : '#64748b';
-        ctx.beginPath();
-        ctx.arc(bbox.right, this.y + 12, 4, 0, 2 * Math.PI);
-        ctx.fill();
+        return tokens;
+    }
+    
+    // Merge nested AND/OR/XOR nodes of the same kind: (A + B) + C -> A + B + C
+    static flatten(node) {
+        if (node.op === 'NOT') {
+            return { op: 'NOT', operand: BooleanExpression.flatten(node.operand) };
+        }
+        if (!node.operands) return node;
         
-        ctx.fillText('C', bbox.right + 8, this.y + 16);
+        const operands = [];
+        node.operands.map(BooleanExpression.flatten).forEach(operand => {
+            if (operand.op === node.op) {
+                operands.push(...operand.operands);
+            } else {
+                operands.push(operand);
+            }
+        });
+        return { op: node.op, operands };
     }
-}
-
-/**
- * Full Adder circuit implementation
- */
-class FullAdder extends CircuitComponent {
-    constructor(id, x = 0, y = 0) {
-        super(id, 'FULL_ADDER', x, y);
-        this.width = 80;
-        this.height = 80;
-        this.inputs = [false, false, false]; // A, B, Cin
-        this.outputs = [false, false]; // Sum, Cout
+    
+    /**
+     * Variable names in alphabetical order.
+     */
+    get variables() {
+        const names = new Set();
+        const visit = node => {
+            if (node.op === 'VAR') names.add(node.name);
+            if (node.operand) visit(node.operand);
+            if (node.operands) node.operands.forEach(visit);
+        };
+        visit(this.tree);
+        return [...names].sort();
     }
     
-    compute() {
-        const [a, b, cin] = this.inputs;
-        this.outputs[0] = a !== b !== cin; // Sum = A XOR B XOR Cin
-        this.outputs[1] = (a && b) || (cin && (a !== b)); // Cout = AB + Cin(A XOR B)
-        return this.outputs;
+    /**
+     * @param {Object} values - Variable name -> boolean or 0/1
+     * @returns {boolean}
+     */
+    evaluate(values) {
+        const evaluate = node => {
+            switch (node.op) {
+                case 'VAR':
+                    if (!(node.name in values)) {
+                        throw new Error(`No value for variable "${node.name}"`);
+                    }
+                    return Boolean(values[node.name]);
+                case 'CONST':
+                    return node.value;
+                case 'NOT':
+                    return !evaluate(node.operand);
+                case 'AND':
+                    return node.operands.every(evaluate);
+                case 'OR':
+                    return node.operands.some(evaluate);
+                case 'XOR':
+                    return node.operands.reduce((result, operand) => result !== evaluate(operand), false);
+            }
+        };
+        return evaluate(this.tree);
     }
     
-    draw(ctx) {
-        const bbox = this.getBoundingBox();
+    /**
+     * Rows in the TruthTableGenerator.generate() shape: one column per
+     * variable and "output" as 0 or 1.
+     */
+    toTruthTable() {
+        const variables = this.variables;
+        return TruthTableGenerator.generate(variables, (...bits) => {
+            const values = {};
+            variables.forEach((name, i) => {
+                values[name] = bits[i];
+            });
+            return Number(this.evaluate(values));
+        });
+    }
+    
+    /**
+     * @param {string} notation - 'algebra' (A.B' + C with a middle dot) or
+     *     'code' (A & !B | C)
+     */
+    toString(notation = 'algebra') {
+        const algebra = notation === 'algebra';
+        const symbols = algebra
+            ? { AND: '\u00B7', OR: ' + ', XOR: ' \u2295 ' }
+            : { AND: ' & ', OR: ' | ', XOR: ' ^ ' };
+        const precedence = BooleanExpression.PRECEDENCE;
+        
+        const print = (node, parent) => {
+            let text;
+            switch (node.op) {
+                case 'VAR':
+                    text = node.name;
+                    break;
+                case 'CONST':
+                    text = node.value ? '1' : '0';
+                    break;
+                case 'NOT':
+                    text = algebra ? `${print(node.operand, 'NOT')}'` : `!${print(node.operand, 'NOT')}`;
+                    break;
+                default:
+                    text = node.operands.map(operand => print(operand, node.op)).join(symbols[node.op]);
+            }
+            return parent && precedence[node.op] <= precedence[parent] && !(parent === 'NOT' && node.op === 'NOT')
+                ? `(${text})`
+                : text;
+        };
         
-        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        return print(this.tree, null);
+    }
+    
+    /**
+     * Copy with constants folded away: A AND 1 -> A, A + 1 -> 1, 1' -> 0.
+     * The result is a lone CONST node only if the whole expression is constant.
+     */
+    foldConstants() {
+        const fold = node => {
+            if (node.op === 'NOT') {
+                const operand = fold(node.operand);
+                return operand.op === 'CONST' ? { op: 'CONST', value: !operand.value } : { op: 'NOT', operand };
+            }
+            if (!node.operands) return node;
+            
+            const operands = node.operands.map(fold);
+            const constants = operands.filter(operand => operand.op === 'CONST').map(operand => operand.value);
+            let rest = operands.filter(operand => operand.op !== 'CONST');
+            let invert = false;
+            
+            if (node.op === 'AND') {
+                if (constants.includes(false)) return { op: 'CONST', value: false };
+            } else if (node.op === 'OR') {
+                if (constants.includes(true)) return { op: 'CONST', value: true };
+            } else {
+                invert = constants.filter(Boolean).length % 2 === 1;
+            }
+            
+            if (rest.length === 0) {
+                return { op: 'CONST', value: node.op === 'AND' ? true : invert };
+            }
+            const result = rest.length === 1 ? rest[0] : { op: node.op, operands: rest };
+            return invert ? { op: 'NOT', operand: result } : result;
+        };
+        
+        return new BooleanExpression(BooleanExpression.flatten(fold(this.tree)));
+    }
+    
+    /**
+     * Add two-input gates for the expression to a GateBuilder, with one input
+     * pin per variable and the result on output pin "Y". Constants must be
+     * folded first. Each variable gets a single shared inverter.
+     */
+    buildGates(builder) {
+        const inverted = {};
+        const build = node => {
+            switch (node.op) {
+                case 'VAR':
+                    return builder.input(node.name);
+                case 'NOT':
+                    if (node.operand.op === 'VAR') {
+                        const name = node.operand.name;
+                        inverted[name] = inverted[name] || builder.not(builder.input(name));
+                        return inverted[name];
+                    }
+                    return builder.not(build(node.operand));
+                case 'AND':
+                    return builder.and(...node.operands.map(build));
+                case 'OR':
+                    return builder.or(...node.operands.map(build));
+                case 'XOR':
+                    return builder.tree('XOR', node.operands.map(build));
+                default:
+                    throw new Error('Fold constants before building gates');
+            }
+        };
+        builder.output('Y', build(this.tree));
+    }
+    
+    /**
+     * Sum of the minterms where `output` is 1, e.g. A'B + AB'.
+     * @param {Object[]} rows - Truth table rows with 0/1 values
+     * @param {string[]} inputs - Input column names, first most significant
+     * @param {string} output - Output column name
+     */
+    static sumOfProducts(rows, inputs, output = 'output') {
+        const unknown = rows.find(row => row[output] !== 0 && row[output] !== 1);
+        if (unknown) {
+            throw new Error(`Output ${output} is ${unknown[output]} for some inputs`);
+        }
+        
+        const minterms = rows.filter(row => row[output] === 1);
+        if (minterms.length === 0 || minterms.length === rows.length) {
+            return new BooleanExpression({ op: 'CONST', value: minterms.length > 0 });
+        }
+        
+        const terms = minterms.map(row => {
+            const literals = inputs.map(name => (row[name]
+                ? { op: 'VAR', name }
+                : { op: 'NOT', operand: { op: 'VAR', name } }));
+            return literals.length === 1 ? literals[0] : { op: 'AND', operands: literals };
+        });
+        return new BooleanExpression(terms.length === 1 ? terms[0] : { op: 'OR', operands: terms });
+    }
+    
+    /**
+     * Read the expression an OUTPUT component computes. Circuits of AND, OR,
+     * XOR and NOT gates are traced wire by wire, giving their structure;
+     * anything else falls back to the sum of minterms of the circuit's
+     * truth table, for up to MAX_TABLE_INPUTS single-bit inputs. Variables
+     * are named as in TruthTableGenerator.fromCircuit().
+     * @param {CircuitSimulator} simulator
+     * @param {string} outputId - OUTPUT component, the topmost by default
+     * @returns {BooleanExpression}
+     */
+    static fromCircuit(simulator, outputId = null) {
+        const columns = TruthTableGenerator.circuitColumns(simulator);
+        const column = outputId
+            ? columns.outputs.find(output => output.id === outputId)
+            : columns.outputs[0];
+        if (!column) {
+            throw new Error(outputId ? `"${outputId}" is not an OUTPUT component` : 'Circuit has no OUTPUT component');
+        }
+        
+        const names = {};
+        columns.inputs.forEach(input => {
+            names[input.id] = input.name;
+        });
+        
+        const driverOf = (component, pin) => {
+            const drivers = simulator.connections.filter(conn => conn.to === component && conn.toInput === pin);
+            if (drivers.length !== 1) {
+                throw new Error(drivers.length === 0
+                    ? `Input ${component.getPin('input', pin).name} of ${component.id} is not connected`
+                    : `Input ${component.getPin('input', pin).name} of ${component.id} has several drivers`);
+            }
+            return drivers[0].from;
+        };
+        const fanOut = source => simulator.connections.filter(conn => conn.from === source).length;
+        
+        // Structure of the gates behind a source, or null past a non-gate part.
+        // Each gate is traced once, so reconvergent fan-out shares a subtree
+        // instead of tracing it again for every path.
+        const visiting = new Set();
+        const traced = new Map();
+        const trace = (source) => {
+            if (source.type === 'INPUT') {
+                return source.bits === 1 ? { op: 'VAR', name: names[source.id] } : null;
+            }
+            if (!['AND', 'OR', 'XOR', 'NOT'].includes(source.type)) return null;
+            if (traced.has(source)) return traced.get(source);
+            if (visiting.has(source)) {
+                throw new Error(`Circuit has a feedback loop through ${source.id}`);
+            }
+            
+            visiting.add(source);
+            const sources = source.inputPins.map((_, index) => driverOf(source, index));
+            const operands = sources.map(trace);
+            visiting.delete(source);
+            
+            // A same-type gate feeding only this one merges into it ("A B C"
+            // rather than "(A B) C"); merging shared gates would copy them
+            let node = null;
+            if (!operands.includes(null)) {
+                node = source.type === 'NOT'
+                    ? { op: 'NOT', operand: operands[0] }
+                    : {
+                        op: source.type,
+                        operands: operands.flatMap((operand, i) => (operand.op === source.type && fanOut(sources[i]) === 1
+                            ? operand.operands
+                            : [operand]))
+                    };
+            }
+            traced.set(source, node);
+            return node;
+        };
+        
+        const tree = trace(driverOf(simulator.getComponentById(column.id), 0));
+        if (tree) {
+            return new BooleanExpression(tree);
+        }
+        
+        // Check the inputs before enumerating 2^n rows
+        if (columns.inputs.some(input => input.bits > 1)) {
+            throw new Error('Only circuits with single-bit inputs have a Boolean expression');
+        }
+        if (columns.inputs.length > BooleanExpression.MAX_TABLE_INPUTS) {
+            throw new Error(
+                `Circuit has ${columns.inputs.length} inputs; at most ${BooleanExpression.MAX_TABLE_INPUTS} ` +
+                'can be tabulated when it is not built only from gates'
+            );
+        }
+        
+        const table = TruthTableGenerator.fromCircuit(simulator, { maxRows: Infinity });
+        return BooleanExpression.sumOfProducts(table.rows, table.inputs.map(input => input.name), column.name);
+    }
+}
+
+/* ===== LOGIC MINIMIZATION ===== */
+
+/**
+ * Quine-McCluskey minimization with don't-cares. Minterms are numbered as
+ * truth table rows, with the first variable the most significant bit. An
+ * implicant is { value, mask, minterms }: the bits set in `mask` are
+ * eliminated and `minterms` lists every row it covers.
+ */
+class LogicMinimizer {
+    static get MAX_VARIABLES() {
+        return 12;
+    }
+    
+    // Search steps for an exact cover before settling for the best found
+    static get COVER_BUDGET() {
+        return 20000;
+    }
+    
+    static bitCount(value) {
+        let count = 0;
+        for (let v = value; v; v &= v - 1) count++;
+        return count;
+    }
+    
+    /**
+     * Minterms and don't-cares of one output column of truth table rows
+     * (from TruthTableGenerator). Outputs of 1 are minterms; 'X' and '-'
+     * are don't-cares.
+     */
+    static fromTruthTable(rows, inputs, output = 'output') {
+        const minterms = [];
+        const dontCares = [];
+        
+        rows.forEach(row => {
+            const index = inputs.reduce((sum, name) => sum * 2 + (row[name] ? 1 : 0), 0);
+            if (row[output] === 1 || row[output] === true) {
+                minterms.push(index);
+            } else if (row[output] === 'X' || row[output] === '-') {
+                dontCares.push(index);
+            }
+        });
+        
+        return { variables: inputs.slice(), minterms, dontCares };
+    }
+    
+    /**
+     * Every prime implicant of the function. Implicants made only of
+     * don't-cares are left out, since no cover needs them.
+     */
+    static primeImplicants(minterms, dontCares = []) {
+        const required = new Set(minterms);
+        let current = [...new Set([...minterms, ...dontCares])]
+            .sort((a, b) => a - b)
+            .map(term => ({ value: term, mask: 0, minterms: [term] }));
+        const primes = [];
+        
+        while (current.length > 0) {
+            // Only implicants with the same mask and one more 1 bit can merge
+            const groups = new Map();
+            current.forEach(implicant => {
+                const key = `${implicant.mask}:${LogicMinimizer.bitCount(implicant.value)}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(implicant);
+            });
+            
+            const merged = new Set();
+            const next = new Map();
+            current.forEach(a => {
+                const partners = groups.get(`${a.mask}:${LogicMinimizer.bitCount(a.value) + 1}`) || [];
+                partners.forEach(b => {
+                    const diff = a.value ^ b.value;
+                    if (diff & (diff - 1)) return;
+                    
+                    merged.add(a);
+                    merged.add(b);
+                    const key = `${a.value}:${a.mask | diff}`;
+                    if (!next.has(key)) {
+                        next.set(key, {
+                            value: a.value,
+                            mask: a.mask | diff,
+                            minterms: [...a.minterms, ...b.minterms].sort((x, y) => x - y)
+                        });
+                    }
+                });
+            });
+            
+            current.forEach(implicant => {
+                if (!merged.has(implicant)) primes.push(implicant);
+            });
+            current = [...next.values()];
+        }
+        
+        return primes.filter(implicant => implicant.minterms.some(term => required.has(term)));
+    }
+    
+    /**
+     * Fewest prime implicants covering every minterm, ties broken by the
+     * fewest literals. Branches on the minterm with the fewest covering
+     * primes, so essential primes are taken first; very large searches stop
+     * at COVER_BUDGET steps with the best cover found so far.
+     */
+    static minimalCover(primes, minterms, variableCount) {
+        const literals = cover => cover.reduce(
+            (sum, implicant) => sum + variableCount - LogicMinimizer.bitCount(implicant.mask), 0
+        );
+        let best = null;
+        let budget = LogicMinimizer.COVER_BUDGET;
+        
+        const search = (uncovered, picked) => {
+            if (budget-- <= 0) return;
+            if (uncovered.length === 0) {
+                if (!best || picked.length < best.length ||
+                    (picked.length === best.length && literals(picked) < literals(best))) {
+                    best = picked;
+                }
+                return;
+            }
+            if (best && picked.length + 1 > best.length) return;
+            
+            let options = null;
+            uncovered.forEach(term => {
+                const covering = primes.filter(implicant => implicant.minterms.includes(term));
+                if (!options || covering.length < options.length) options = covering;
+            });
+            
+            const gain = implicant => uncovered.filter(term => implicant.minterms.includes(term)).length;
+            options
+                .slice()
+                .sort((a, b) => gain(b) - gain(a) || b.mask - a.mask)
+                .forEach(implicant => search(
+                    uncovered.filter(term => !implicant.minterms.includes(term)),
+                    [...picked, implicant]
+                ));
+        };
+        
+        search(minterms.slice(), []);
+        return best || [];
+    }
+    
+    /**
+     * Expression node for an implicant: a product term, or with `sum` set
+     * the sum term of a POS cover (an implicant of the zeros).
+     */
+    static implicantNode(implicant, variables, sum = false) {
+        const n = variables.length;
+        const literals = [];
+        
+        variables.forEach((name, k) => {
+            const bit = 1 << (n - 1 - k);
+            if (implicant.mask & bit) return;
+            
+            const positive = Boolean(implicant.value & bit) !== sum;
+            literals.push(positive ? { op: 'VAR', name } : { op: 'NOT', operand: { op: 'VAR', name } });
+        });
+        
+        if (literals.length === 0) return { op: 'CONST', value: !sum };
+        return literals.length === 1 ? literals[0] : { op: sum ? 'OR' : 'AND', operands: literals };
+    }
+    
+    /**
+     * Minimal sum-of-products and product-of-sums forms of a function.
+     * @param {string[]} variables - Names, first the most significant bit
+     * @param {number[]} minterms - Rows where the function is 1
+     * @param {number[]} dontCares - Rows where it may be either
+     * @returns {Object} { variables, minterms, dontCares, primes, essential,
+     *     cover, sop, pos } where primes, essential and cover are implicants
+     *     and sop and pos are BooleanExpressions
+     */
+    static minimize(variables, minterms, dontCares = []) {
+        const n = variables.length;
+        if (n > LogicMinimizer.MAX_VARIABLES) {
+            throw new Error(`Minimization is limited to ${LogicMinimizer.MAX_VARIABLES} variables`);
+        }
+        
+        const ones = [...new Set(minterms)].sort((a, b) => a - b);
+        const maybe = [...new Set(dontCares)].filter(term => !ones.includes(term)).sort((a, b) => a - b);
+        const zeros = [];
+        for (let term = 0; term < (1 << n); term++) {
+            if (!ones.includes(term) && !maybe.includes(term)) zeros.push(term);
+        }
+        
+        const primes = LogicMinimizer.primeImplicants(ones, maybe);
+        const essential = primes.filter(implicant => implicant.minterms.some(term => ones.includes(term) &&
+            primes.every(other => other === implicant || !other.minterms.includes(term))));
+        const cover = LogicMinimizer.minimalCover(primes, ones, n);
+        const zeroCover = LogicMinimizer.minimalCover(LogicMinimizer.primeImplicants(zeros, maybe), zeros, n);
+        
+        // Terms in variable order, A before A' before terms without A
+        const pattern = implicant => variables.map((_, k) => {
+            const bit = 1 << (n - 1 - k);
+            return implicant.mask & bit ? '2' : (implicant.value & bit ? '0' : '1');
+        }).join('');
+        const combine = (op, implicants, sum) => {
+            if (implicants.length === 0) return { op: 'CONST', value: sum };
+            const nodes = implicants
+                .slice()
+                .sort((a, b) => (pattern(a) < pattern(b) ? -1 : 1))
+                .map(implicant => LogicMinimizer.implicantNode(implicant, variables, sum));
+            return nodes.length === 1 ? nodes[0] : { op, operands: nodes };
+        };
+        
+        return {
+            variables: variables.slice(),
+            minterms: ones,
+            dontCares: maybe,
+            primes,
+            essential,
+            cover,
+            sop: new BooleanExpression(BooleanExpression.flatten(combine('OR', cover, false))),
+            pos: new BooleanExpression(BooleanExpression.flatten(combine('AND', zeroCover, true)))
+        };
+    }
+}
+
+/**
+ * Karnaugh map of a function of 2-4 variables with its prime implicants.
+ * Clicking a cell cycles it through 0, 1 and don't-care; clicking an
+ * implicant highlights its group. Wider functions (up to
+ * LogicMinimizer.MAX_VARIABLES) are still minimized but drawn without a map.
+ * With a simulator the function can be read from the canvas and the
+ * minimized circuit built next to the original.
+ */
+class KarnaughMap {
+    // Gray code order of row and column headings
+    static gray(bits) {
+        return bits === 1 ? [0, 1] : [0, 1, 3, 2];
+    }
+    
+    /**
+     * @param {HTMLElement} container - Element the view is appended to
+     * @param {Object} options - simulator to read from and build on
+     */
+    constructor(container, options = {}) {
+        this.simulator = options.simulator || null;
+        this.result = null;
+        this.selected = null; // Highlighted implicant
+        this.sourceGates = null; // Gate count of the circuit the function came from
+        
+        this.group = document.createElement('div');
+        this.group.className = 'control-group';
+        this.group.innerHTML = `
+            <h4>Karnaugh map</h4>
+            <div class="flex flex-wrap items-center">
+                <input type="text" class="input" placeholder="A'B + AB' + AB" aria-label="Boolean expression" style="min-width: 16em;">
+                <button type="button" class="btn btn-small btn-primary" data-action="expression">Map expression</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="circuit">From circuit</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="build">Build minimized circuit</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="status"></p>
+            <div data-role="map"></div>
+            <div class="flex flex-wrap items-center" data-role="implicants"></div>
+            <p data-role="sop"></p>
+            <p data-role="pos"></p>
+            <p class="text-muted" data-role="gates"></p>
+        `;
+        
+        this.input = this.group.querySelector('input');
+        this.status = this.group.querySelector('[data-role="status"]');
+        
+        if (!this.simulator) {
+            this.group.querySelector('[data-action="circuit"]').hidden = true;
+            this.group.querySelector('[data-action="build"]').hidden = true;
+        }
+        this.setupEventListeners();
+        
+        container.appendChild(this.group);
+        this.setFunction(['A', 'B'], []);
+    }
+    
+    setupEventListeners() {
+        const attempt = (action) => {
+            try {
+                action();
+            } catch (error) {
+                this.showStatus(error.message, true);
+            }
+        };
+        
+        this.group.querySelector('[data-action="expression"]').addEventListener('click', () => attempt(() => {
+            this.loadExpression(this.input.value);
+        }));
+        this.group.querySelector('[data-action="circuit"]').addEventListener('click', () => attempt(() => {
+            this.loadCircuit();
+        }));
+        this.group.querySelector('[data-action="build"]').addEventListener('click', () => attempt(() => {
+            const { gates } = this.buildCircuit();
+            this.showStatus(`Built the minimized circuit with ${gates.length} gates`);
+        }));
+        
+        this.group.querySelector('[data-role="map"]').addEventListener('click', (event) => {
+            const cell = event.target.closest('[data-minterm]');
+            if (cell) this.toggleCell(Number(cell.dataset.minterm));
+        });
+        this.group.querySelector('[data-role="implicants"]').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-implicant]');
+            if (!button) return;
+            
+            const implicant = this.result.primes[Number(button.dataset.implicant)];
+            this.selected = this.selected === implicant ? null : implicant;
+            this.render();
+        });
+    }
+    
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.className = isError ? 'text-error' : 'text-muted';
+    }
+    
+    /**
+     * Show and minimize a function.
+     * @param {string[]} variables - Names, first the most significant bit
+     * @param {number[]} minterms - Rows where the function is 1
+     * @param {number[]} dontCares - Rows where it may be either
+     */
+    setFunction(variables, minterms, dontCares = []) {
+        this.result = LogicMinimizer.minimize(variables, minterms, dontCares);
+        this.selected = null;
+        this.render();
+        return this.result;
+    }
+    
+    loadExpression(text) {
+        const expression = BooleanExpression.parse(text);
+        const { variables, minterms } = LogicMinimizer.fromTruthTable(expression.toTruthTable(), expression.variables);
+        this.sourceGates = null;
+        this.setFunction(variables, minterms);
+        this.showStatus(`Mapped ${expression.toString()}`);
+    }
+    
+    /**
+     * Map one OUTPUT of the simulator's circuit (the topmost by default).
+     */
+    loadCircuit(outputId = null) {
+        const table = TruthTableGenerator.fromCircuit(this.simulator, { maxRows: 1 << LogicMinimizer.MAX_VARIABLES });
+        const output = outputId ? table.outputs.find(column => column.id === outputId) : table.outputs[0];
+        if (!output) {
+            throw new Error(outputId ? `"${outputId}" is not an OUTPUT component` : 'Circuit has no OUTPUT component');
+        }
+        if (table.truncated || table.inputs.some(input => input.bits > 1)) {
+            throw new Error(`K-maps need at most ${LogicMinimizer.MAX_VARIABLES} single-bit inputs`);
+        }
+        
+        const inputs = table.inputs.map(input => input.name);
+        const { variables, minterms, dontCares } = LogicMinimizer.fromTruthTable(table.rows, inputs, output.name);
+        this.sourceGates = this.simulator.components
+            .filter(component => ['AND', 'OR', 'XOR', 'NOT'].includes(component.type)).length;
+        this.setFunction(variables, minterms, dontCares);
+        this.showStatus(`Mapped output ${output.name}`);
+    }
+    
+    toggleCell(minterm) {
+        const { variables, minterms, dontCares } = this.result;
+        if (minterms.includes(minterm)) {
+            this.setFunction(variables, minterms.filter(term => term !== minterm), [...dontCares, minterm]);
+        } else if (dontCares.includes(minterm)) {
+            this.setFunction(variables, minterms, dontCares.filter(term => term !== minterm));
+        } else {
+            this.setFunction(variables, [...minterms, minterm], dontCares);
+        }
+    }
+    
+    // Two-input gates needed to build an expression
+    static gateCount(expression) {
+        const folded = expression.foldConstants();
+        if (folded.tree.op === 'CONST') return 0;
+        
+        const builder = new GateBuilder();
+        folded.buildGates(builder);
+        return builder.gates.length;
+    }
+    
+    /**
+     * Build the minimal SOP circuit below whatever is on the canvas.
+     */
+    buildCircuit() {
+        const bottom = Math.max(0, ...this.simulator.components.map(component => component.getBoundingBox().bottom));
+        return this.simulator.synthesizeExpression(this.result.sop, { x: 60, y: bottom + 60, output: 'F_min' });
+    }
+    
+    render() {
+        this.renderMap();
+        this.renderImplicants();
+        
+        const { sop, pos } = this.result;
+        const sopGates = KarnaughMap.gateCount(sop);
+        const posGates = KarnaughMap.gateCount(pos);
+        this.group.querySelector('[data-role="sop"]').textContent = `Minimal SOP: F = ${sop.toString()}`;
+        this.group.querySelector('[data-role="pos"]').textContent = `Minimal POS: F = ${pos.toString()}`;
+        this.group.querySelector('[data-role="gates"]').textContent = [
+            this.sourceGates !== null ? `Circuit: ${this.sourceGates} gates` : null,
+            `SOP: ${sopGates} gates`,
+            `POS: ${posGates} gates`
+        ].filter(Boolean).join(', ');
+    }
+    
+    renderMap() {
+        const container = this.group.querySelector('[data-role="map"]');
+        const { variables, minterms, dontCares } = this.result;
+        const n = variables.length;
+        
+        if (n < 2 || n > 4) {
+            container.innerHTML = `<p class="text-muted">K-maps are drawn for 2 to 4 variables; this function has ${n}.</p>`;
+            return;
+        }
+        
+        const rowBits = Math.floor(n / 2);
+        const colBits = n - rowBits;
+        const rowNames = variables.slice(0, rowBits).join('');
+        const colNames = variables.slice(rowBits).join('');
+        const code = (value, bits) => value.toString(2).padStart(bits, '0');
+        const highlighted = this.selected ? this.selected.minterms : [];
+        
+        container.innerHTML = `
+            <table class="truth-table kmap">
+                <thead>
+                    <tr>
+                        <th scope="col" data-role="corner"></th>
+                        ${KarnaughMap.gray(colBits).map(col => `<th scope="col">${code(col, colBits)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${KarnaughMap.gray(rowBits).map(row => `
+                        <tr>
+                            <th scope="row">${code(row, rowBits)}</th>
+                            ${KarnaughMap.gray(colBits).map(col => {
+                                const term = (row << colBits) | col;
+                                const value = minterms.includes(term) ? '1' : (dontCares.includes(term) ? 'X' : '0');
+                                const classes = ['kmap-cell', highlighted.includes(term) ? 'kmap-group' : ''].join(' ').trim();
+                                return `<td class="${classes}" data-minterm="${term}" title="m${term}">${value}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        // Variable names come from user expressions and circuit labels
+        container.querySelector('[data-role="corner"]').textContent = `${rowNames} \\ ${colNames}`;
+    }
+    
+    renderImplicants() {
+        const container = this.group.querySelector('[data-role="implicants"]');
+        const { primes, essential, cover, variables } = this.result;
+        
+        container.innerHTML = '';
+        primes.forEach((implicant, index) => {
+            const role = essential.includes(implicant) ? 'essential' : (cover.includes(implicant) ? 'in cover' : 'unused');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-small ${implicant === this.selected ? 'btn-primary' : 'btn-secondary'}`;
+            button.dataset.implicant = index;
+            button.title = `Covers ${implicant.minterms.map(m => `m${m}`).join(', ')} (${role})`;
+            button.textContent = new BooleanExpression(LogicMinimizer.implicantNode(implicant, variables)).toString();
+            container.appendChild(button);
+        });
+    }
+}
+
+/* ===== EQUIVALENCE CHECKING ===== */
+
+/**
+ * Checks a student's circuit against a reference for graded exercises.
+ * Signals are matched by name: the label, or the id where labels repeat,
+ * as in TruthTableGenerator.circuitColumns(). Combinational checks try
+ * every input combination when there are few enough and otherwise a
+ * fixed-seed random sample, so a grade never changes between runs.
+ * Sequential checks compare output traces over a clocked input sequence.
+ */
+class EquivalenceChecker {
+    // Largest number of input combinations tried exhaustively
+    static get MAX_EXHAUSTIVE() {
+        return 4096;
+    }
+    
+    static get SAMPLES() {
+        return 1000;
+    }
+    
+    static get MAX_COUNTEREXAMPLES() {
+        return 5;
+    }
+    
+    /**
+     * Headless simulator for a circuit. A CircuitSimulator is copied and an
+     * exportCircuit() document is validated and loaded.
+     */
+    static load(circuit) {
+        const data = circuit instanceof CircuitSimulator
+            ? circuit.exportCircuit()
+            : CircuitSimulator.validateCircuitData(circuit);
+        const simulator = new CircuitSimulator(null);
+        simulator.history.runSuspended(() => simulator.loadCircuitData(data));
+        return simulator;
+    }
+    
+    // Small seeded generator (mulberry32) for repeatable random testing
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    static isDontCare(value) {
+        return value === 'X' || value === '-' || value === undefined;
+    }
+    
+    /**
+     * What the reference says for each input combination, in the shape of
+     * TruthTableGenerator.evaluator(). Expressions and truth tables name
+     * their single or "output" column after `outputName`. Truth tables take
+     * their column widths from the student's circuit where names match, and
+     * a row missing for some inputs leaves them untested.
+     */
+    static model(reference, student, outputName, options = {}) {
+        if (typeof reference === 'string' || reference instanceof BooleanExpression) {
+            const expression = typeof reference === 'string' ? BooleanExpression.parse(reference) : reference;
+            return {
+                inputs: expression.variables.map(name => ({ name, bits: 1 })),
+                outputs: [{ name: outputName, bits: 1 }],
+                evaluate: values => ({ [outputName]: Number(expression.evaluate(values)) })
+            };
+        }
+        
+        if (Array.isArray(reference)) {
+            if (reference.length === 0) {
+                throw new Error('Reference truth table has no rows');
+            }
+            const keys = Object.keys(reference[0]);
+            const outputKeys = options.outputs || (keys.includes('output') ? ['output'] : [keys[keys.length - 1]]);
+            const inputKeys = options.inputs || keys.filter(key => !outputKeys.includes(key));
+            const rename = key => (key === 'output' ? outputName : key);
+            
+            const rows = new Map();
+            reference.forEach(row => {
+                const expected = {};
+                outputKeys.forEach(key => {
+                    expected[rename(key)] = typeof row[key] === 'boolean' ? Number(row[key]) : row[key];
+                });
+                rows.set(inputKeys.map(key => Number(row[key])).join(','), expected);
+            });
+            
+            const widthOf = (columns, name) => {
+                const column = columns.find(other => other.name === name);
+                return column ? column.bits : 1;
+            };
+            return {
+                inputs: inputKeys.map(name => ({ name, bits: widthOf(student.inputs, name) })),
+                outputs: outputKeys.map(key => ({ name: rename(key), bits: widthOf(student.outputs, rename(key)) })),
+                evaluate: values => rows.get(inputKeys.map(key => Number(values[key])).join(',')) || null
+            };
+        }
+        
+        return TruthTableGenerator.evaluator(EquivalenceChecker.load(reference));
+    }
+    
+    /**
+     * Compare a combinational circuit with a reference circuit (simulator
+     * or exportCircuit() document), an expression, or truth table rows.
+     * @param {CircuitSimulator|Object} candidate - The student's circuit
+     * @param {CircuitSimulator|Object|BooleanExpression|string|Object[]} reference
+     * @param {Object} options - output (candidate output compared with an
+     *     expression or "output" column; the topmost by default), inputs and
+     *     outputs (truth table column names), maxExhaustive, samples, seed,
+     *     maxCounterexamples
+     * @returns {Object} { equivalent, method, tested, total, counterexamples,
+     *     errors } where each counterexample is { inputs, expected, actual,
+     *     differences } and differences lists the outputs that disagree
+     */
+    static compare(candidate, reference, options = {}) {
+        const student = TruthTableGenerator.evaluator(EquivalenceChecker.load(candidate));
+        const outputName = options.output || (student.outputs[0] && student.outputs[0].name) || 'output';
+        const expected = EquivalenceChecker.model(reference, student, outputName, options);
+        const maxCounterexamples = options.maxCounterexamples || EquivalenceChecker.MAX_COUNTEREXAMPLES;
+        
+        const errors = EquivalenceChecker.checkSignals(student, expected);
+        const totalBits = expected.inputs.reduce((sum, input) => sum + input.bits, 0);
+        const total = Math.pow(2, totalBits);
+        const exhaustive = total <= (options.maxExhaustive || EquivalenceChecker.MAX_EXHAUSTIVE);
+        const result = {
+            equivalent: false,
+            method: exhaustive ? 'exhaustive' : 'random',
+            tested: 0,
+            total,
+            counterexamples: [],
+            errors
+        };
+        if (errors.length > 0) return result;
+        
+        const random = EquivalenceChecker.random(options.seed !== undefined ? options.seed : 1);
+        const count = exhaustive ? total : (options.samples || EquivalenceChecker.SAMPLES);
+        
+        for (let i = 0; i < count && result.counterexamples.length < maxCounterexamples; i++) {
+            // Exhaustive rows count up with the first input most significant
+            const picked = [];
+            let rest = i;
+            for (let k = expected.inputs.length - 1; k >= 0; k--) {
+                const range = Math.pow(2, expected.inputs[k].bits);
+                picked[k] = exhaustive ? rest % range : Math.floor(random() * range);
+                rest = Math.floor(rest / range);
+            }
+            const values = {};
+            expected.inputs.forEach((input, k) => {
+                values[input.name] = picked[k];
+            });
+            
+            const want = expected.evaluate(values);
+            if (!want) continue;
+            
+            result.tested++;
+            const got = student.evaluate(values);
+            const differences = expected.outputs
+                .map(output => output.name)
+                .filter(name => !EquivalenceChecker.isDontCare(want[name]) && got[name] !== want[name]);
+            if (differences.length > 0) {
+                result.counterexamples.push({ inputs: values, expected: want, actual: got, differences });
+            }
+        }
+        
+        result.equivalent = result.tested > 0 && result.counterexamples.length === 0;
+        return result;
+    }
+    
+    // Missing, extra or mis-sized inputs and outputs, as messages
+    static checkSignals(student, expected) {
+        const errors = [];
+        const check = (kind, studentColumns, expectedColumns, extrasAllowed) => {
+            expectedColumns.forEach(column => {
+                const match = studentColumns.find(other => other.name === column.name);
+                if (!match) {
+                    errors.push(`Missing ${kind} "${column.name}"`);
+                } else if (match.bits !== column.bits) {
+                    errors.push(`${kind} "${column.name}" is ${match.bits} bits wide, expected ${column.bits}`);
+                }
+            });
+            if (extrasAllowed) return;
+            studentColumns
+                .filter(column => !expectedColumns.some(other => other.name === column.name))
+                .forEach(column => errors.push(`Unexpected ${kind} "${column.name}"`));
+        };
+        
+        check('input', student.inputs, expected.inputs, false);
+        check('output', student.outputs, expected.outputs, true);
+        return errors;
+    }
+    
+    /**
+     * Outputs of a circuit after each step of a clocked input sequence. Each
+     * step sets the inputs it names, then pulses the INPUT named
+     * options.clock (0, 1, 0) or, without one, runs one cycle of the
+     * circuit's first CLOCK. Outputs are read once the step has settled.
+     * @returns {Object[]} Output name -> value for each step
+     */
+    static trace(simulator, sequence, options = {}) {
+        const { inputs, outputs } = TruthTableGenerator.circuitColumns(simulator);
+        const inputNamed = (name) => {
+            const column = inputs.find(input => input.name === name);
+            if (!column) {
+                throw new Error(`Circuit has no input "${name}"`);
+            }
+            return simulator.getComponentById(column.id);
+        };
+        const clock = options.clock ? inputNamed(options.clock) : null;
+        
+        return sequence.map(step => {
+            Object.keys(step).forEach(name => inputNamed(name).setValue(step[name]));
+            simulator.simulate();
+            
+            if (clock) {
+                [true, false].forEach(level => {
+                    clock.setValue(level);
+                    simulator.simulate();
+                });
+            } else {
+                simulator.runCycles(1);
+            }
+            
+            const row = {};
+            outputs.forEach(output => {
+                const value = simulator.getComponentById(output.id).value;
+                row[output.name] = typeof value === 'boolean' ? Number(value) : value;
+            });
+            return row;
+        });
+    }
+    
+    /**
+     * Compare a sequential circuit with a reference by running both through
+     * the same input sequence (see trace()) from their saved state.
+     * @param {CircuitSimulator|Object} candidate - The student's circuit
+     * @param {CircuitSimulator|Object|Object[]} reference - A circuit, or
+     *     the expected outputs after each step
+     * @param {Object[]} sequence - Input name -> value for each step
+     * @param {Object} options - clock input name, maxCounterexamples
+     * @returns {Object} { equivalent, steps, counterexamples, errors } where
+     *     each counterexample is { step, inputs, expected, actual, differences }
+     */
+    static compareSequence(candidate, reference, sequence, options = {}) {
+        const maxCounterexamples = options.maxCounterexamples || EquivalenceChecker.MAX_COUNTEREXAMPLES;
+        const result = { equivalent: false, steps: sequence.length, counterexamples: [], errors: [] };
+        
+        let actual;
+        let expected;
+        try {
+            actual = EquivalenceChecker.trace(EquivalenceChecker.load(candidate), sequence, options);
+            expected = Array.isArray(reference)
+                ? reference
+                : EquivalenceChecker.trace(EquivalenceChecker.load(reference), sequence, options);
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+        
+        const outputs = Object.keys(expected[0] || {});
+        outputs
+            .filter(name => actual.length > 0 && !(name in actual[0]))
+            .forEach(name => result.errors.push(`Missing output "${name}"`));
+        if (result.errors.length > 0) return result;
+        
+        for (let step = 0; step < sequence.length && result.counterexamples.length < maxCounterexamples; step++) {
+            const want = expected[step] || {};
+            const differences = Object.keys(want)
+                .filter(name => !EquivalenceChecker.isDontCare(want[name]) && actual[step][name] !== want[name]);
+            if (differences.length > 0) {
+                result.counterexamples.push({
+                    step,
+                    inputs: sequence[step],
+                    expected: want,
+                    actual: actual[step],
+                    differences
+                });
+            }
+        }
+        
+        result.equivalent = result.counterexamples.length === 0;
+        return result;
+    }
+    
+    /**
+     * Plain-text summary of a compare() or compareSequence() result.
+     */
+    static describe(result) {
+        if (result.errors.length > 0) {
+            return result.errors.join('\n');
+        }
+        if (result.equivalent) {
+            return result.steps !== undefined
+                ? `Outputs match for all ${result.steps} steps`
+                : `Equivalent (${result.tested} ${result.method === 'random' ? 'random ' : ''}input combinations tested)`;
+        }
+        
+        const format = values => Object.keys(values).map(name => `${name}=${values[name]}`).join(', ');
+        return result.counterexamples.map(example => {
+            const where = example.step !== undefined ? `Step ${example.step + 1} (${format(example.inputs)})` : format(example.inputs);
+            const outputs = example.differences
+                .map(name => `${name} is ${example.actual[name]}, expected ${example.expected[name]}`)
+                .join('; ');
+            return `${where}: ${outputs}`;
+        }).join('\n');
+    }
+}
+
+/* ===== CIRCUIT EXERCISES ===== */
+
+/**
+ * Graded circuit-building exercise. The page gives a goal and the student
+ * builds it on a CircuitSimulator, then presses Check. The definition is:
+ *   id, title, instructions
+ *   one goal: expression (text, with output naming the OUTPUT it drives),
+ *     truthTable (rows as from TruthTableGenerator), vectors
+ *     ([{ inputs, outputs }], run in order through clock cycles when
+ *     sequential is set, pulsing the INPUT named clock if given) or
+ *     reference (an exportCircuit() document)
+ *   allowedComponents - component types the student may use
+ *   gateBudget - most components allowed, as a number for the total or
+ *     { TYPE: count, total: count }
+ * INPUT, OUTPUT and clock components are always free. The score is the
+ * percentage of test cases passed, with each broken rule counted as one
+ * more failed case; a pass needs every test passed and every rule met.
+ *
+ * With a ProgressTracker and options.section, every check sets that
+ * section's progress to the best score of an attempt that met the rules,
+ * and the first pass completes the section. The first pass also sends
+ * getCompletionData() (best score and attempts) through
+ * PlatformCommunication.sendCompletion(), options.communication or the
+ * tracker's. The platform records that as the module's completion.
+ */
+class CircuitExercise {
+    static get FREE_TYPES() {
+        return ['INPUT', 'OUTPUT', 'CLOCK', 'CLOCK_4PHASE'];
+    }
+    
+    static get MAX_HINTS() {
+        return 3;
+    }
+    
+    /**
+     * @param {HTMLElement} container - Element the exercise is appended to
+     * @param {CircuitSimulator} simulator - Canvas the student builds on
+     * @param {Object} definition - Exercise definition (see above)
+     * @param {Object} options - tracker and section, or communication
+     */
+    constructor(container, simulator, definition, options = {}) {
+        const goals = ['expression', 'truthTable', 'vectors', 'reference'].filter(key => definition[key] !== undefined);
+        if (goals.length !== 1) {
+            throw new Error(`Exercise "${definition.id}" needs exactly one goal: expression, truthTable, vectors or reference`);
+        }
+        
+        this.simulator = simulator;
+        this.definition = definition;
+        this.tracker = options.tracker || null;
+        this.section = options.section !== undefined ? options.section : null;
+        this.communication = options.communication || (this.tracker ? this.tracker.communication : null);
+        this.attempts = 0;
+        this.bestScore = 0;
+        this.completed = false;
+        this.startTime = Date.now();
+        this.lastResult = null;
+        
+        this.group = this.createInterface();
+        container.appendChild(this.group);
+    }
+    
+    createInterface() {
+        const { title, instructions, allowedComponents } = this.definition;
+        const group = document.createElement('div');
+        group.className = 'control-group circuit-exercise';
+        group.innerHTML = `
+            <h4></h4>
+            <p data-role="instructions"></p>
+            <div data-role="goal"></div>
+            <p class="text-muted" data-role="rules"></p>
+            <div class="flex flex-wrap items-center">
+                <button type="button" class="btn btn-small btn-primary" data-action="check">Check</button>
+                <span class="text-muted" aria-live="polite" data-role="attempts"></span>
+            </div>
+            <div class="quiz-feedback" aria-live="polite" data-role="feedback"></div>
+        `;
+        
+        group.querySelector('h4').textContent = title || 'Circuit exercise';
+        group.querySelector('[data-role="instructions"]').textContent = instructions || '';
+        this.renderGoal(group.querySelector('[data-role="goal"]'));
+        
+        const rules = [];
+        if (allowedComponents) rules.push(`Allowed parts: ${allowedComponents.join(', ')}`);
+        const budget = this.getBudget();
+        Object.keys(budget).forEach(type => {
+            rules.push(type === 'total' ? `At most ${budget.total} parts` : `At most ${budget[type]} ${type}`);
+        });
+        group.querySelector('[data-role="rules"]').textContent = rules.join('. ');
+        
+        group.querySelector('[data-action="check"]').addEventListener('click', () => this.check());
+        return group;
+    }
+    
+    renderGoal(container) {
+        const { expression, truthTable, vectors, sequential } = this.definition;
+        this.goalOutput = this.gradedOutput();
+        
+        if (expression !== undefined) {
+            const parsed = BooleanExpression.parse(expression);
+            container.textContent = `Build ${this.goalOutput} = ${parsed.toString()}`;
+        } else if (truthTable) {
+            TruthTableGenerator.renderTable(container, truthTable, { outputLabel: this.goalOutput });
+        } else if (vectors) {
+            const outputs = Object.keys(vectors[0].outputs);
+            const rows = vectors.map((vector, i) => (sequential
+                ? { Step: i + 1, ...vector.inputs, ...vector.outputs }
+                : { ...vector.inputs, ...vector.outputs }));
+            TruthTableGenerator.renderTable(container, rows, { outputs });
+        } else {
+            container.textContent = 'Build a circuit that behaves like the reference circuit.';
+        }
+    }
+    
+    // OUTPUT an expression or "output" column is checked against: the one
+    // named by output, else the topmost, as EquivalenceChecker.compare() picks
+    gradedOutput() {
+        if (this.definition.output) return this.definition.output;
+        
+        const [topmost] = TruthTableGenerator.circuitColumns(this.simulator).outputs;
+        return topmost ? topmost.name : 'F';
+    }
+    
+    // Gate budget as { TYPE: count, total: count }
+    getBudget() {
+        const budget = this.definition.gateBudget;
+        if (budget === undefined || budget === null) return {};
+        return typeof budget === 'number' ? { total: budget } : budget;
+    }
+    
+    /**
+     * Broken allowedComponents and gateBudget rules, as messages.
+     */
+    checkRules() {
+        const parts = this.simulator.components.filter(component => !CircuitExercise.FREE_TYPES.includes(component.type));
+        const counts = {};
+        parts.forEach(component => {
+            counts[component.type] = (counts[component.type] || 0) + 1;
+        });
+        
+        const violations = [];
+        const allowed = this.definition.allowedComponents;
+        if (allowed) {
+            Object.keys(counts)
+                .filter(type => !allowed.includes(type))
+                .forEach(type => violations.push(`${type} is not allowed here; use ${allowed.join(', ')}`));
+        }
+        
+        const budget = this.getBudget();
+        Object.keys(budget).forEach(type => {
+            const used = type === 'total' ? parts.length : (counts[type] || 0);
+            if (used > budget[type]) {
+                violations.push(type === 'total'
+                    ? `Your circuit uses ${used} parts; the budget is ${budget.total}`
+                    : `Your circuit uses ${used} ${type}; the budget is ${budget[type]}`);
+            }
+        });
+        
+        return violations;
+    }
+    
+    // Run the goal's tests with EquivalenceChecker, keeping every failing case
+    runTests() {
+        const { expression, truthTable, vectors, sequential, clock, reference, output } = this.definition;
+        const options = { output, maxCounterexamples: Infinity };
+        
+        if (vectors && sequential) {
+            const result = EquivalenceChecker.compareSequence(
+                this.simulator,
+                vectors.map(vector => vector.outputs),
+                vectors.map(vector => vector.inputs),
+                { clock, maxCounterexamples: Infinity }
+            );
+            return { ...result, tested: result.errors.length > 0 ? 0 : result.steps };
+        }
+        if (vectors) {
+            const rows = vectors.map(vector => ({ ...vector.inputs, ...vector.outputs }));
+            return EquivalenceChecker.compare(this.simulator, rows, {
+                ...options,
+                inputs: Object.keys(vectors[0].inputs),
+                outputs: Object.keys(vectors[0].outputs)
+            });
+        }
+        return EquivalenceChecker.compare(this.simulator, expression !== undefined ? expression : (truthTable || reference), options);
+    }
+    
+    /**
+     * Test the circuit on the canvas without counting an attempt.
+     * @returns {Object} { passed, score, tested, failed, violations, hints }
+     */
+    grade() {
+        const tests = this.runTests();
+        const violations = this.checkRules();
+        const failed = tests.counterexamples.length;
+        const cases = tests.tested + violations.length;
+        const score = tests.tested > 0 ? Math.round(100 * (tests.tested - failed) / cases) : 0;
+        
+        const format = values => Object.keys(values).map(name => `${name}=${values[name]}`).join(', ');
+        const hints = [
+            ...tests.errors.map(error => (error.startsWith('Missing ')
+                ? `${error}: add one and label it ${error.slice(error.indexOf('"'))}`
+                : error)),
+            ...violations,
+            ...tests.counterexamples.slice(0, CircuitExercise.MAX_HINTS).map(example => {
+                const when = example.step !== undefined
+                    ? `After step ${example.step + 1} (${format(example.inputs)})`
+                    : `With ${format(example.inputs)}`;
+                return `${when}, ` + example.differences
+                    .map(name => `${name} should be ${example.expected[name]} but your circuit gives ${example.actual[name]}`)
+                    .join(' and ');
+            })
+        ];
+        if (failed > CircuitExercise.MAX_HINTS) {
+            hints.push(`...and ${failed - CircuitExercise.MAX_HINTS} more failing cases`);
+        }
+        
+        return {
+            passed: tests.errors.length === 0 && tests.tested > 0 && failed === 0 && violations.length === 0,
+            score,
+            tested: tests.tested,
+            failed,
+            violations,
+            hints
+        };
+    }
+    
+    /**
+     * Grade as one attempt, show the feedback and report the progress.
+     */
+    check() {
+        this.attempts++;
+        const result = this.grade();
+        this.lastResult = result;
+        if (result.violations.length === 0) {
+            this.bestScore = Math.max(this.bestScore, result.score);
+        }
+        
+        // The graded OUTPUT may have changed since the goal was shown
+        if (this.gradedOutput() !== this.goalOutput) {
+            this.renderGoal(this.group.querySelector('[data-role="goal"]'));
+        }
+        
+        const firstPass = result.passed && !this.completed;
+        if (firstPass) this.completed = true;
+        this.reportProgress(firstPass);
+        
+        this.renderFeedback(result);
+        return result;
+    }
+    
+    getCompletionData() {
+        return {
+            exerciseId: this.definition.id,
+            score: this.bestScore,
+            quizScore: this.bestScore,
+            attempts: this.attempts,
+            passed: this.completed,
+            timeSpent: Math.round((Date.now() - this.startTime) / 1000)
+        };
+    }
+    
+    reportProgress(firstPass) {
+        if (this.tracker && this.section !== null) {
+            if (firstPass) {
+                this.tracker.completeSection(this.section);
+            } else {
+                this.tracker.updateSectionProgress(this.section, this.bestScore);
+            }
+        }
+        if (firstPass && this.communication) {
+            this.communication.sendCompletion(this.getCompletionData());
+        }
+    }
+    
+    renderFeedback(result) {
+        const feedback = this.group.querySelector('[data-role="feedback"]');
+        feedback.className = `quiz-feedback ${result.passed ? 'correct' : 'incorrect'}`;
+        feedback.innerHTML = `
+            <strong></strong>
+            <ul></ul>
+        `;
+        feedback.querySelector('strong').textContent = result.passed
+            ? `Correct! All ${result.tested} tests pass.`
+            : `Score ${result.score}%: ${result.tested - result.failed} of ${result.tested} tests pass.`;
+        
+        const list = feedback.querySelector('ul');
+        result.hints.forEach(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint;
+            list.appendChild(item);
+        });
+        
+        this.group.querySelector('[data-role="attempts"]').textContent =
+            `Attempt ${this.attempts}${this.completed ? ' (completed)' : ''}`;
+    }
+}
+
+/* ===== SPECIALIZED CIRCUIT COMPONENTS ===== */
+
+/**
+ * Half Adder circuit implementation
+ */
+class HalfAdder extends CircuitComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'HALF_ADDER', x, y);
+        this.width = 80;
+        this.height = 60;
+        this.inputs = [false, false]; // A, B
+        this.outputs = [false, false]; // Sum, Carry
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: -12 },
+            { name: 'B', side: 'left', offset: 12 }
+        ];
+        this.outputPins = [
+            { name: 'S', side: 'right', offset: -12 },
+            { name: 'C', side: 'right', offset: 12 }
+        ];
+    }
+    
+    compute() {
+        if (!this.inputs.every(Logic.isKnown)) {
+            this.outputs.fill('X');
+            return this.outputs;
+        }
+        
+        const [a, b] = this.inputs;
+        this.outputs[0] = a !== b; // Sum = A XOR B
+        this.outputs[1] = a && b;  // Carry = A AND B
+        return this.outputs;
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Draw component body
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        ctx.beginPath();
+        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, 8);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw label
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('HALF', this.x, this.y - 5);
+        ctx.fillText('ADDER', this.x, this.y + 8);
+        
+        // Draw pins with labels
+        this.drawHalfAdderPins(ctx);
+    }
+    
+    drawHalfAdderPins(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Input pins
+        ctx.fillStyle = Logic.colorFor(this.inputs[0]);
+        ctx.beginPath();
+        ctx.arc(bbox.left, this.y - 12, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText('A', bbox.left - 8, this.y - 8);
+        
+        ctx.fillStyle = Logic.colorFor(this.inputs[1]);
+        ctx.beginPath();
+        ctx.arc(bbox.left, this.y + 12, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.fillText('B', bbox.left - 8, this.y + 16);
+        
+        // Output pins
+        ctx.fillStyle = Logic.colorFor(this.outputs[0]);
+        ctx.beginPath();
+        ctx.arc(bbox.right, this.y - 12, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#1e293b';
+        ctx.fillText('S', bbox.right + 8, this.y - 8);
+        
+        ctx.fillStyle = Logic.colorFor(this.outputs[1]);
+        ctx.beginPath();
+        ctx.arc(bbox.right, this.y + 12, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        ctx.fillText('C', bbox.right + 8, this.y + 16);
+    }
+}
+
+/**
+ * Full Adder circuit implementation
+ */
+class FullAdder extends CircuitComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'FULL_ADDER', x, y);
+        this.width = 80;
+        this.height = 80;
+        this.inputs = [false, false, false]; // A, B, Cin
+        this.outputs = [false, false]; // Sum, Cout
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: -20 },
+            { name: 'B', side: 'left', offset: 0 },
+            { name: 'Cin', side: 'left', offset: 20 }
+        ];
+        this.outputPins = [
+            { name: 'S', side: 'right', offset: -12 },
+            { name: 'Cout', side: 'right', offset: 12 }
+        ];
+    }
+    
+    compute() {
+        if (!this.inputs.every(Logic.isKnown)) {
+            this.outputs.fill('X');
+            return this.outputs;
+        }
+        
+        const [a, b, cin] = this.inputs;
+        this.outputs[0] = a !== b !== cin; // Sum = A XOR B XOR Cin
+        this.outputs[1] = (a && b) || (cin && (a !== b)); // Cout = AB + Cin(A XOR B)
+        return this.outputs;
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        ctx.beginPath();
+        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, 8);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('FULL', this.x, this.y - 5);
+        ctx.fillText('ADDER', this.x, this.y + 8);
+        
+        this.drawFullAdderPins(ctx);
+    }
+    
+    drawFullAdderPins(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Input pins
+        const inputPositions = [-20, 0, 20];
+        const inputLabels = ['A', 'B', 'Cin'];
+        
+        inputPositions.forEach((offset, i) => {
+            ctx.fillStyle = Logic.colorFor(this.inputs[i]);
+            ctx.beginPath();
+            ctx.arc(bbox.left, this.y + offset, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#1e293b';
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'right';
+            ctx.fillText(inputLabels[i], bbox.left - 8, this.y + offset + 4);
+        });
+        
+        // Output pins
+        const outputPositions = [-12, 12];
+        const outputLabels = ['S', 'Cout'];
+        
+        outputPositions.forEach((offset, i) => {
+            ctx.fillStyle = Logic.colorFor(this.outputs[i]);
+            ctx.beginPath();
+            ctx.arc(bbox.right, this.y + offset, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#1e293b';
+            ctx.textAlign = 'left';
+            ctx.fillText(outputLabels[i], bbox.right + 8, this.y + offset + 4);
+        });
+    }
+}
+
+/**
+ * 4:1 Multiplexer implementation
+ */
+class Multiplexer4to1 extends CircuitComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'MUX_4TO1', x, y);
+        this.width = 80;
+        this.height = 100;
+        this.dataInputs = [false, false, false, false]; // D0, D1, D2, D3
+        this.selectInputs = [false, false]; // S0, S1
+        this.output = false;
+        
+        // Pins 0-3 are the data inputs, pins 4-5 the select lines
+        this.inputPins = [
+            { name: 'D0', side: 'left', offset: -30 },
+            { name: 'D1', side: 'left', offset: -10 },
+            { name: 'D2', side: 'left', offset: 10 },
+            { name: 'D3', side: 'left', offset: 30 },
+            { name: 'S0', side: 'bottom', offset: -10 },
+            { name: 'S1', side: 'bottom', offset: 10 }
+        ];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
+    }
+    
+    getInputValue(index) {
+        return index < 4 ? this.dataInputs[index] : this.selectInputs[index - 4];
+    }
+    
+    setInputValue(index, value) {
+        if (index < 4) {
+            this.dataInputs[index] = value;
+        } else {
+            this.selectInputs[index - 4] = value;
+        }
+    }
+    
+    compute() {
+        if (!this.selectInputs.every(Logic.isKnown)) {
+            this.output = 'X';
+            return this.output;
+        }
+        
+        const selectValue = this.selectInputs[1] * 2 + this.selectInputs[0];
+        this.output = this.dataInputs[selectValue];
+        return this.output;
+    }
+    
+    buildGates(builder) {
+        const lines = builder.decode([builder.input('S0'), builder.input('S1')]);
+        builder.output('Y', builder.or(...lines.map((line, i) => builder.and(builder.input(`D${i}`), line))));
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Draw trapezoid shape typical of MUX symbol
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        ctx.beginPath();
+        ctx.moveTo(bbox.left, bbox.top + 10);
+        ctx.lineTo(bbox.right - 20, bbox.top);
+        ctx.lineTo(bbox.right, bbox.bottom);
+        ctx.lineTo(bbox.left, bbox.bottom - 10);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Label
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('MUX', this.x, this.y - 10);
+        ctx.fillText('4:1', this.x, this.y + 5);
+        
+        this.drawMuxPins(ctx);
+    }
+    
+    drawMuxPins(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Data inputs (left side)
+        const dataPositions = [-30, -10, 10, 30];
+        dataPositions.forEach((offset, i) => {
+            ctx.fillStyle = Logic.colorFor(this.dataInputs[i]);
+            ctx.beginPath();
+            ctx.arc(bbox.left, this.y + offset, 3, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#1e293b';
+            ctx.font = '8px monospace';
+            ctx.textAlign = 'right';
+            ctx.fillText(`D${i}`, bbox.left - 5, this.y + offset + 3);
+        });
+        
+        // Select inputs (bottom)
+        const selectPositions = [-10, 10];
+        selectPositions.forEach((offset, i) => {
+            ctx.fillStyle = Logic.colorFor(this.selectInputs[i]);
+            ctx.beginPath();
+            ctx.arc(this.x + offset, bbox.bottom, 3, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#1e293b';
+            ctx.textAlign = 'center';
+            ctx.fillText(`S${i}`, this.x + offset, bbox.bottom + 12);
+        });
+        
+        // Output (right side)
+        ctx.fillStyle = Logic.colorFor(this.output);
+        ctx.beginPath();
+        ctx.arc(bbox.right, this.y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.textAlign = 'left';
+        ctx.fillText('Y', bbox.right + 8, this.y + 4);
+    }
+}
+
+/**
+ * ALU from alu-explorer-complete.html. Every unit computes at once and a
+ * 3-to-8 decoder on OP enables the one that drives OUT:
+ * 000 ADD, 001 SHR, 010 SHL, 011 NOT, 100 OR, 101 AND, 110 XOR.
+ * Opcode 111 enables nothing, so OUT floats (Z). This is the explorer's
+ * numbering, which swaps AND and OR relative to the CPU's ALU instructions.
+ *
+ * CIN is added by ADD and shifted in by SHR/SHL. COUT is the carry for ADD,
+ * the bit shifted out for SHR/SHL and 0 for the logic units. ZERO watches
+ * OUT; A>B and A=B compare the inputs whatever the opcode.
+ *
+ * Expanded, the ALU runs that design as a circuit of real components: each
+ * unit is a subcircuit of gates, full adders, splitters and joiners whose
+ * result passes through a tri-state buffer onto a shared bus, and the
+ * wires between them show their live values. OUT and the flags then come
+ * from that circuit.
+ */
+class ALUComponent extends CircuitComponent {
+    static get OPERATIONS() {
+        return ['ADD', 'SHR', 'SHL', 'NOT', 'OR', 'AND', 'XOR'];
+    }
+    
+    // Inner OUTPUT component ids, in output pin order
+    static get RESULTS() {
+        return ['OUT', 'COUT', 'ZERO', 'GT', 'EQ'];
+    }
+    
+    constructor(id, x = 0, y = 0, bits = 8, expanded = false) {
+        super(id, 'ALU', x, y);
+        this.bits = bits;
+        this.inputs = [0, 0, 0, false]; // A, B, OP, CIN
+        this.outputs = [0, false, false, false, false]; // OUT, COUT, ZERO, A>B, A=B
+        this.enabled = 0;
+        this.inner = null; // Built the first time the ALU is expanded
+        this.setExpanded(expanded);
+    }
+    
+    /**
+     * Subcircuit definitions for the units of a `bits`-wide ALU:
+     *   ADD       A, B, CIN -> OUT, COUT  ripple-carry chain of full adders
+     *   SHR, SHL  A, CIN -> OUT, COUT     rewired bits; COUT is the bit shifted out
+     *   NOT       A -> OUT                one gate per bit, as are OR, AND, XOR
+     *   ZERO      IN -> ZERO              NOR of every bit
+     *   CMP       A, B -> A>B, A=B
+     */
+    static unitDefinitions(bits) {
+        const define = (build) => {
+            const circuit = new CircuitSimulator(null);
+            circuit.history.runSuspended(() => build(circuit));
+            const { components, connections } = circuit.exportCircuit();
+            return { components, connections };
+        };
+        const wire = (circuit, [from, fromPin], to, toPin) => circuit.connectComponents(from, fromPin, to, toPin);
+        
+        // An INPUT down the left, split into bits; returns each bit's [id, pin]
+        const input = (circuit, name, row, width = bits) => {
+            circuit.addComponent('INPUT', name, 40, 60 + row * 140, { label: name, bits: width });
+            if (width === 1) return [[name, 'OUT']];
+            
+            circuit.addComponent('SPLITTER', `${name}_bits`, 110, 60 + row * 140, { bits: width });
+            circuit.connectComponents(name, 'OUT', `${name}_bits`, 'IN');
+            return Array.from({ length: width }, (_, i) => [`${name}_bits`, `b${i}`]);
+        };
+        
+        // An OUTPUT fed by one bit, or by several joined into a bus
+        const output = (circuit, name, sources, x, y) => {
+            circuit.addComponent('OUTPUT', name, x + 80, y, { label: name, bits: sources.length });
+            if (sources.length === 1) {
+                wire(circuit, sources[0], name, 'IN');
+                return;
+            }
+            
+            circuit.addComponent('JOINER', `${name}_bus`, x, y, { bits: sources.length });
+            sources.forEach((source, i) => wire(circuit, source, `${name}_bus`, `b${i}`));
+            circuit.connectComponents(`${name}_bus`, 'OUT', name, 'IN');
+        };
+        
+        const bitwise = (type) => define(circuit => {
+            const a = input(circuit, 'A', 0);
+            const b = type === 'NOT' ? null : input(circuit, 'B', 1);
+            const result = a.map((source, i) => {
+                const id = `${type}${i}`;
+                circuit.addComponent(type, id, 220, 20 + i * 40);
+                wire(circuit, source, id, 'A');
+                if (b) wire(circuit, b[i], id, 'B');
+                return [id, 'Y'];
+            });
+            output(circuit, 'OUT', result, 300, 60);
+        });
+        
+        const shift = (right) => define(circuit => {
+            const a = input(circuit, 'A', 0);
+            const [cin] = input(circuit, 'CIN', 1, 1);
+            output(circuit, 'OUT', right ? [...a.slice(1), cin] : [cin, ...a.slice(0, -1)], 200, 60);
+            output(circuit, 'COUT', [right ? a[0] : a[bits - 1]], 200, 200);
+        });
+        
+        // Gate networks from a GateBuilder whose inputs are named A0, B3, IN7, ...
+        const gates = (circuit, builder, sources) => circuit.placeGates(builder, 200, 20, 'G', pin => {
+            const [, name, bit] = pin.match(/^([A-Z]+)(\d+)$/);
+            return [sources[name][Number(bit)]];
+        }).sourcesOf;
+        
+        const definitions = {
+            ADD: define(circuit => {
+                const a = input(circuit, 'A', 0);
+                const b = input(circuit, 'B', 1);
+                let [carry] = input(circuit, 'CIN', 2, 1);
+                const sum = a.map((source, i) => {
+                    const id = `FA${i}`;
+                    circuit.addComponent('FULL_ADDER', id, 220, 40 + i * 70);
+                    wire(circuit, source, id, 'A');
+                    wire(circuit, b[i], id, 'B');
+                    wire(circuit, carry, id, 'Cin');
+                    carry = [id, 'Cout'];
+                    return [id, 'S'];
+                });
+                output(circuit, 'OUT', sum, 320, 60);
+                output(circuit, 'COUT', [carry], 320, 200);
+            }),
+            SHR: shift(true),
+            SHL: shift(false),
+            NOT: bitwise('NOT'),
+            OR: bitwise('OR'),
+            AND: bitwise('AND'),
+            XOR: bitwise('XOR'),
+            ZERO: define(circuit => {
+                const sources = { IN: input(circuit, 'IN', 0) };
+                const builder = new GateBuilder();
+                const lines = sources.IN.map((_, i) => builder.input(`IN${i}`));
+                builder.output('ZERO', builder.not(builder.or(...lines)));
+                output(circuit, 'ZERO', gates(circuit, builder, sources)(builder.outputs.ZERO), 520, 60);
+            }),
+            CMP: define(circuit => {
+                const sources = { A: input(circuit, 'A', 0), B: input(circuit, 'B', 1) };
+                const builder = new GateBuilder();
+                const a = sources.A.map((_, i) => builder.input(`A${i}`));
+                const b = sources.B.map((_, i) => builder.input(`B${i}`));
+                const same = a.map((bit, i) => builder.not(builder.xor(bit, b[i])));
+                // A > B when, at some bit, A has 1 and B has 0 and every higher bit matches
+                const wins = a.map((bit, i) => builder.and(bit, builder.not(b[i]), ...same.slice(i + 1)));
+                builder.output('A>B', builder.or(...wins));
+                builder.output('A=B', builder.and(...same));
+                
+                const sourcesOf = gates(circuit, builder, sources);
+                output(circuit, 'A>B', sourcesOf(builder.outputs['A>B']), 720, 60);
+                output(circuit, 'A=B', sourcesOf(builder.outputs['A=B']), 720, 120);
+            })
+        };
+        return definitions;
+    }
+    
+    /**
+     * The circuit shown while expanded: a decoder on OP enables one unit's
+     * tri-state buffer onto the RESULT bus, and the units with a carry drive
+     * a pulled-down CARRY bus the same way.
+     */
+    buildInner() {
+        const inner = new CircuitSimulator(null);
+        inner.subcircuits = ALUComponent.unitDefinitions(this.bits);
+        
+        inner.history.runSuspended(() => {
+            inner.addComponent('INPUT', 'A', 40, 60, { label: 'A', bits: this.bits });
+            inner.addComponent('INPUT', 'B', 40, 140, { label: 'B', bits: this.bits });
+            inner.addComponent('INPUT', 'CIN', 40, 560, { label: 'CIN' });
+            inner.addComponent('INPUT', 'OP', 40, 660, { label: 'OP', bits: 3 });
+            inner.addComponent('SPLITTER', 'OP_bits', 110, 660, { bits: 3 });
+            inner.addComponent('DECODER', 'DEC', 190, 660, { select: 3 });
+            inner.connectComponents('OP', 'OUT', 'OP_bits', 'IN');
+            [0, 1, 2].forEach(i => inner.connectComponents('OP_bits', `b${i}`, 'DEC', `A${i}`));
+            
+            const units = ALUComponent.OPERATIONS;
+            const carries = units.filter(name => inner.subcircuits[name].components.some(comp => comp.id === 'COUT'));
+            inner.addComponent('BUS', 'RESULT', 560, 300, { bits: this.bits, drivers: units.length });
+            inner.addComponent('BUS', 'CARRY', 560, 560, { bits: 1, drivers: carries.length, pull: 'down' });
+            
+            units.forEach((name, i) => {
+                const y = 40 + i * 95;
+                const unit = inner.addComponent('SUBCIRCUIT', name, 320, y, { circuit: name });
+                unit.inputPins.forEach(pin => inner.connectComponents(pin.name, 'OUT', name, pin.name));
+                
+                inner.addComponent('TRISTATE', `${name}_en`, 440, y - 15, { bits: this.bits });
+                inner.connectComponents(name, 'OUT', `${name}_en`, 'IN');
+                inner.connectComponents('DEC', `Y${i}`, `${name}_en`, 'EN');
+                inner.connectComponents(`${name}_en`, 'OUT', 'RESULT', `D${i}`);
+                
+                if (carries.includes(name)) {
+                    inner.addComponent('TRISTATE', `${name}_carry`, 440, y + 25);
+                    inner.connectComponents(name, 'COUT', `${name}_carry`, 'IN');
+                    inner.connectComponents('DEC', `Y${i}`, `${name}_carry`, 'EN');
+                    inner.connectComponents(`${name}_carry`, 'OUT', 'CARRY', `D${carries.indexOf(name)}`);
+                }
+            });
+            
+            inner.addComponent('SUBCIRCUIT', 'IS_ZERO', 660, 400, { circuit: 'ZERO' });
+            inner.addComponent('SUBCIRCUIT', 'COMPARE', 320, 720, { circuit: 'CMP' });
+            inner.connectComponents('RESULT', 'OUT', 'IS_ZERO', 'IN');
+            inner.connectComponents('A', 'OUT', 'COMPARE', 'A');
+            inner.connectComponents('B', 'OUT', 'COMPARE', 'B');
+            
+            const outputs = [
+                ['OUT', 'OUT', this.bits, 300, 'RESULT', 'OUT'],
+                ['COUT', 'COUT', 1, 560, 'CARRY', 'OUT'],
+                ['ZERO', 'ZERO', 1, 400, 'IS_ZERO', 'ZERO'],
+                ['GT', 'A>B', 1, 700, 'COMPARE', 'A>B'],
+                ['EQ', 'A=B', 1, 740, 'COMPARE', 'A=B']
+            ];
+            outputs.forEach(([id, label, bits, y, from, fromPin]) => {
+                inner.addComponent('OUTPUT', id, 780, y, { label, bits });
+                inner.connectComponents(from, fromPin, id, 'IN');
+            });
+        });
+        return inner;
+    }
+    
+    /**
+     * Switch between the compact symbol and the internal view. Pins keep
+     * their names and order, so existing wires follow them.
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this.width = 90;
+        this.height = 110;
+        
+        let rows = [-40, -20, 0, 20, 40];
+        let sides = [-20, 20];
+        let bottom = [-15, 15];
+        if (expanded) {
+            this.inner = this.inner || this.buildInner();
+            const area = SubcircuitComponent.areaOf(this.inner);
+            const scale = SubcircuitComponent.SCALE;
+            this.width = area.width * scale + 40;
+            this.height = area.height * scale + 40;
+            
+            // Line the side pins up with the inner INPUTs and OUTPUTs they feed
+            const offsetOf = id => (this.inner.getComponentById(id).y - (area.top + area.height / 2)) * scale + 6;
+            rows = ALUComponent.RESULTS.map(offsetOf);
+            sides = ['A', 'B'].map(offsetOf);
+            bottom = [-this.width / 2 + 30, -this.width / 2 + 60];
+            this.compute();
+        }
+        
+        this.inputPins = [
+            { name: 'A', side: 'left', offset: sides[0], width: this.bits },
+            { name: 'B', side: 'left', offset: sides[1], width: this.bits },
+            { name: 'OP', side: 'bottom', offset: bottom[0], width: 3 },
+            { name: 'CIN', side: 'bottom', offset: bottom[1] }
+        ];
+        this.outputPins = ['OUT', 'COUT', 'ZERO', 'A>B', 'A=B'].map((name, i) => ({
+            name,
+            side: 'right',
+            offset: rows[i],
+            width: i === 0 ? this.bits : 1
+        }));
+    }
+    
+    compute() {
+        const [a, b, op, cin] = this.inputs;
+        const mask = CircuitComponent.maskFor(this.bits);
+        this.enabled = Logic.isKnown(op) ? op : null;
+        
+        if (this.expanded) {
+            ['A', 'B', 'OP', 'CIN'].forEach((id, i) => {
+                this.inner.getComponentById(id).value = this.inputs[i];
+            });
+            const result = this.inner.simulate();
+            ALUComponent.RESULTS.forEach((id, i) => {
+                this.outputs[i] = result.oscillating ? 'X' : this.inner.getComponentById(id).value;
+            });
+            return this.outputs;
+        }
+        
+        if (![a, b, op, cin].every(Logic.isKnown)) {
+            this.outputs.fill('X');
+            return this.outputs;
+        }
+        
+        const carryIn = cin ? 1 : 0;
+        const sum = a + b + carryIn;
+        const results = [
+            [sum & mask, sum > mask],
+            [(a >>> 1) | (carryIn << (this.bits - 1)), (a & 1) === 1],
+            [((a << 1) | carryIn) & mask, ((a >>> (this.bits - 1)) & 1) === 1],
+            [~a & mask, false],
+            [a | b, false],
+            [a & b, false],
+            [a ^ b, false]
+        ];
+        
+        const unit = results[op];
+        this.outputs[0] = unit ? unit[0] >>> 0 : 'Z';
+        this.outputs[1] = unit ? unit[1] : false;
+        this.outputs[2] = unit ? unit[0] >>> 0 === 0 : 'X';
+        this.outputs[3] = a > b;
+        this.outputs[4] = a === b;
+        return this.outputs;
+    }
+    
+    draw(ctx) {
+        if (!this.expanded) {
+            this.drawBody(ctx, ['ALU', this.opName()]);
+            this.drawDeclaredPins(ctx);
+            return;
+        }
+        
+        this.drawBody(ctx, [], 6);
+        
+        const bbox = this.getBoundingBox();
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(`ALU ${this.opName()}`, bbox.left + 6, bbox.top + 12);
+        
+        SubcircuitComponent.drawCircuit(ctx, this.inner, this.x, this.y + 6);
+        this.drawDeclaredPins(ctx);
+    }
+    
+    opName() {
+        if (this.enabled === null) return '?';
+        return ALUComponent.OPERATIONS[this.enabled] || '---';
+    }
+}
+
+/* ===== DECODERS AND MULTIPLEXERS ===== */
+
+/**
+ * Two-input gate network that a component expands into. A signal is
+ * { pin } for one of the component's input pins or { gate } for an index
+ * into `gates`; ANDs and ORs of more than two signals become balanced trees.
+ */
+class GateBuilder {
+    constructor() {
+        this.gates = []; // { type, inputs, depth } with depth counted from the inputs
+        this.outputs = {}; // Output pin name -> signal
+    }
+    
+    input(pin) {
+        return { pin };
+    }
+    
+    output(pin, signal) {
+        this.outputs[pin] = signal;
+    }
+    
+    depthOf(signal) {
+        return signal.pin !== undefined ? 0 : this.gates[signal.gate].depth;
+    }
+    
+    gate(type, inputs) {
+        const depth = 1 + Math.max(...inputs.map(signal => this.depthOf(signal)));
+        this.gates.push({ type, inputs, depth });
+        return { gate: this.gates.length - 1 };
+    }
+    
+    not(signal) {
+        return this.gate('NOT', [signal]);
+    }
+    
+    and(...signals) {
+        return this.tree('AND', signals);
+    }
+    
+    or(...signals) {
+        return this.tree('OR', signals);
+    }
+    
+    xor(...signals) {
+        return this.tree('XOR', signals);
+    }
+    
+    tree(type, signals) {
+        if (signals.length === 1) return signals[0];
+        
+        const half = Math.ceil(signals.length / 2);
+        return this.gate(type, [this.tree(type, signals.slice(0, half)), this.tree(type, signals.slice(half))]);
+    }
+    
+    /**
+     * Decoder lines for `selects` (least significant first): line i is the
+     * AND of each select or its inverse, following the bits of i.
+     */
+    decode(selects) {
+        const inverted = selects.map(signal => this.not(signal));
+        return Array.from({ length: 1 << selects.length }, (_, line) =>
+            this.and(...selects.map((signal, bit) => ((line >> bit) & 1 ? signal : inverted[bit])))
+        );
+    }
+}
+
+/**
+ * n-to-2^n decoder from circuits-building-a-decoder: exactly one of
+ * Y0..Y(2^n - 1) is high, the one numbered by the address A(n-1)..A0.
+ */
+class Decoder extends CircuitComponent {
+    constructor(id, x = 0, y = 0, select = 2) {
+        super(id, 'DECODER', x, y);
+        this.select = select;
+        const lines = 1 << select;
+        this.width = 70;
+        this.height = lines * 12 + 16;
+        this.inputs = new Array(select).fill(false);
+        this.outputs = new Array(lines).fill(false);
+        this.inputPins = CircuitComponent.spreadPins(select).map((offset, i) => ({ name: `A${i}`, side: 'left', offset }));
+        this.outputPins = CircuitComponent.spreadPins(lines).map((offset, i) => ({ name: `Y${i}`, side: 'right', offset }));
+        this.compute();
+    }
+    
+    compute() {
+        if (!this.inputs.every(Logic.isKnown)) {
+            this.outputs.fill('X');
+            return this.outputs;
+        }
+        
+        const address = CircuitComponent.bitsToNumber(this.inputs);
+        this.outputs.forEach((_, i) => {
+            this.outputs[i] = i === address;
+        });
+        return this.outputs;
+    }
+    
+    buildGates(builder) {
+        const lines = builder.decode(this.inputPins.map(pin => builder.input(pin.name)));
+        lines.forEach((line, i) => builder.output(`Y${i}`, line));
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, ['DEC', `${this.select}:${1 << this.select}`], 4);
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * Priority encoder: A(n-1)..A0 number the highest of D0..D(2^n - 1) that
+ * is high, and V (valid) is high when any of them is. An unknown input
+ * above the first high one makes every output unknown.
+ */
+class PriorityEncoder extends CircuitComponent {
+    constructor(id, x = 0, y = 0, select = 2) {
+        super(id, 'ENCODER', x, y);
+        this.select = select;
+        const lines = 1 << select;
+        this.width = 70;
+        this.height = lines * 12 + 16;
+        this.inputs = new Array(lines).fill(false);
+        this.outputs = new Array(select + 1).fill(false); // A0..A(n-1), V
+        this.inputPins = CircuitComponent.spreadPins(lines).map((offset, i) => ({ name: `D${i}`, side: 'left', offset }));
+        this.outputPins = CircuitComponent.spreadPins(select + 1).map((offset, i) => ({
+            name: i < select ? `A${i}` : 'V',
+            side: 'right',
+            offset
+        }));
+    }
+    
+    compute() {
+        for (let line = this.inputs.length - 1; line >= 0; line--) {
+            const value = this.inputs[line];
+            if (!Logic.isKnown(value)) {
+                this.outputs.fill('X');
+                return this.outputs;
+            }
+            if (value) {
+                for (let bit = 0; bit < this.select; bit++) {
+                    this.outputs[bit] = ((line >> bit) & 1) === 1;
+                }
+                this.outputs[this.select] = true;
+                return this.outputs;
+            }
+        }
+        
+        this.outputs.fill(false);
+        return this.outputs;
+    }
+    
+    // Line j wins when it is high and nothing above it is; A_i ORs the winners with bit i set
+    buildGates(builder) {
+        const data = this.inputPins.map(pin => builder.input(pin.name));
+        const top = data.length - 1;
+        const wins = [];
+        let above = data[top];
+        wins[top] = data[top];
+        for (let line = top - 1; line >= 0; line--) {
+            if (line > 0) {
+                wins[line] = builder.and(data[line], builder.not(above));
+            }
+            above = builder.or(above, data[line]);
+        }
+        
+        for (let bit = 0; bit < this.select; bit++) {
+            const lines = wins.map((win, line) => ((line >> bit) & 1 ? win : null)).filter(Boolean);
+            builder.output(`A${bit}`, builder.or(...lines));
+        }
+        builder.output('V', above);
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, ['ENC', `${1 << this.select}:${this.select}`], 4);
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * 2^n-to-1 multiplexer: Y follows the data input D0..D(2^n - 1) numbered by
+ * the select lines S(n-1)..S0 on the bottom edge.
+ */
+class Multiplexer extends CircuitComponent {
+    constructor(id, x = 0, y = 0, select = 2) {
+        super(id, 'MUX', x, y);
+        this.select = select;
+        const lines = 1 << select;
+        this.width = Math.max(70, select * 14 + 30);
+        this.height = lines * 12 + 24;
+        this.inputs = new Array(lines + select).fill(false); // D0..D(2^n - 1), S0..S(n-1)
+        this.output = false;
+        this.inputPins = [
+            ...CircuitComponent.spreadPins(lines).map((offset, i) => ({ name: `D${i}`, side: 'left', offset })),
+            ...CircuitComponent.spreadPins(select, 14).map((offset, i) => ({ name: `S${i}`, side: 'bottom', offset }))
+        ];
+        this.outputPins = [{ name: 'Y', side: 'right', offset: 0 }];
+    }
+    
+    compute() {
+        const selects = this.inputs.slice(1 << this.select);
+        if (!selects.every(Logic.isKnown)) {
+            this.output = 'X';
+            return this.output;
+        }
+        
+        this.output = this.inputs[CircuitComponent.bitsToNumber(selects)];
+        return this.output;
+    }
+    
+    buildGates(builder) {
+        const lines = builder.decode(Array.from({ length: this.select }, (_, i) => builder.input(`S${i}`)));
+        builder.output('Y', builder.or(...lines.map((line, i) => builder.and(builder.input(`D${i}`), line))));
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        // Wide on the data side, narrow on the output side
+        ctx.beginPath();
+        ctx.moveTo(bbox.left, bbox.top);
+        ctx.lineTo(bbox.right, bbox.top + 12);
+        ctx.lineTo(bbox.right, bbox.bottom - 12);
+        ctx.lineTo(bbox.left, bbox.bottom);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('MUX', this.x, this.y - 4);
+        ctx.fillText(`${1 << this.select}:1`, this.x, this.y + 9);
+        
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * 1-to-2^n demultiplexer: D is routed to the output Y0..Y(2^n - 1) numbered
+ * by the select lines S(n-1)..S0, and every other output is low.
+ */
+class Demultiplexer extends CircuitComponent {
+    constructor(id, x = 0, y = 0, select = 2) {
+        super(id, 'DEMUX', x, y);
+        this.select = select;
+        const lines = 1 << select;
+        this.width = Math.max(70, select * 14 + 30);
+        this.height = lines * 12 + 24;
+        this.inputs = new Array(select + 1).fill(false); // D, S0..S(n-1)
+        this.outputs = new Array(lines).fill(false);
+        this.inputPins = [
+            { name: 'D', side: 'left', offset: 0 },
+            ...CircuitComponent.spreadPins(select, 14).map((offset, i) => ({ name: `S${i}`, side: 'bottom', offset }))
+        ];
+        this.outputPins = CircuitComponent.spreadPins(lines).map((offset, i) => ({ name: `Y${i}`, side: 'right', offset }));
+    }
+    
+    compute() {
+        const [data, ...selects] = this.inputs;
+        if (!selects.every(Logic.isKnown)) {
+            this.outputs.fill('X');
+            return this.outputs;
+        }
+        
+        const line = CircuitComponent.bitsToNumber(selects);
+        this.outputs.forEach((_, i) => {
+            this.outputs[i] = i === line ? data : false;
+        });
+        return this.outputs;
+    }
+    
+    buildGates(builder) {
+        const data = builder.input('D');
+        const lines = builder.decode(Array.from({ length: this.select }, (_, i) => builder.input(`S${i}`)));
+        lines.forEach((line, i) => builder.output(`Y${i}`, builder.and(data, line)));
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
+        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
+        ctx.lineWidth = this.selected ? 2 : 1;
+        
+        // Narrow on the data side, wide on the output side
+        ctx.beginPath();
+        ctx.moveTo(bbox.left, bbox.top + 12);
+        ctx.lineTo(bbox.right, bbox.top);
+        ctx.lineTo(bbox.right, bbox.bottom);
+        ctx.lineTo(bbox.left, bbox.bottom - 12);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('DEMUX', this.x, this.y - 4);
+        ctx.fillText(`1:${1 << this.select}`, this.x, this.y + 9);
+        
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/* ===== BUS COMPONENTS ===== */
+
+/**
+ * Splits a multi-bit bus into single-bit wires b0 (least significant) .. bn
+ */
+class Splitter extends CircuitComponent {
+    constructor(id, x = 0, y = 0, bits = 8) {
+        super(id, 'SPLITTER', x, y);
+        this.bits = bits;
+        this.width = 30;
+        this.height = bits * 12 + 8;
+        this.delay = 0;
+        this.inputs = [0];
+        this.outputs = new Array(bits).fill(false);
+        this.inputPins = [{ name: 'IN', side: 'left', offset: 0, width: bits }];
+        this.outputPins = this.outputs.map((_, i) => ({
+            name: `b${i}`,
+            side: 'right',
+            offset: -this.height / 2 + 10 + i * 12
+        }));
+    }
+    
+    compute() {
+        const value = this.inputs[0];
+        if (!Logic.isKnown(value)) {
+            this.outputs.fill(value);
+            return this.outputs;
+        }
+        
+        for (let i = 0; i < this.bits; i++) {
+            this.outputs[i] = ((value >>> i) & 1) === 1;
+        }
+        return this.outputs;
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, [], 3);
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * Joins single-bit wires b0 (least significant) .. bn into one bus
+ */
+class Joiner extends CircuitComponent {
+    constructor(id, x = 0, y = 0, bits = 8) {
+        super(id, 'JOINER', x, y);
+        this.bits = bits;
+        this.width = 30;
+        this.height = bits * 12 + 8;
+        this.delay = 0;
+        this.inputs = new Array(bits).fill(false);
+        this.output = 0;
+        this.inputPins = this.inputs.map((_, i) => ({
+            name: `b${i}`,
+            side: 'left',
+            offset: -this.height / 2 + 10 + i * 12
+        }));
+        this.outputPins = [{ name: 'OUT', side: 'right', offset: 0, width: bits }];
+    }
+    
+    compute() {
+        if (!this.inputs.every(Logic.isKnown)) {
+            this.output = this.inputs.every(bit => bit === 'Z') ? 'Z' : 'X';
+            return this.output;
+        }
+        
+        this.output = this.inputs.reduce((value, bit, i) => (bit ? value | (1 << i) : value), 0) >>> 0;
+        return this.output;
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, [], 3);
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * Tri-state (controlled) buffer: passes IN to OUT while EN is high and
+ * releases the output (Z) while EN is low.
+ */
+class TriStateBuffer extends CircuitComponent {
+    constructor(id, x = 0, y = 0, bits = 1) {
+        super(id, 'TRISTATE', x, y);
+        this.bits = bits;
+        this.width = 50;
+        this.height = 40;
+        this.inputs = [bits > 1 ? 0 : false, false]; // IN, EN
+        this.output = 'Z';
+        this.inputPins = [
+            { name: 'IN', side: 'left', offset: 0, width: bits },
+            { name: 'EN', side: 'bottom', offset: 0 }
+        ];
+        this.outputPins = [{ name: 'OUT', side: 'right', offset: 0, width: bits }];
+    }
+    
+    compute() {
+        const [value, enable] = this.inputs;
+        if (enable === true) {
+            this.output = value;
+        } else if (enable === false) {
+            this.output = 'Z';
+        } else {
+            this.output = 'X';
+        }
+        return this.output;
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        // Buffer triangle
+        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
         ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
         ctx.lineWidth = this.selected ? 2 : 1;
         
-        ctx.beginPath();
-        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, 8);
-        ctx.fill();
-        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(bbox.left + 8, bbox.top + 4);
+        ctx.lineTo(bbox.right - 8, this.y);
+        ctx.lineTo(bbox.left + 8, bbox.bottom - 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/**
+ * Shared bus with several tri-state drivers D0..Dn and one output. Drivers
+ * at Z are ignored, the pull setting applies when nobody drives, and
+ * conflicting drivers are shown in red.
+ */
+class SharedBus extends CircuitComponent {
+    constructor(id, x = 0, y = 0, bits = 8, drivers = 4, pull = 'none') {
+        super(id, 'BUS', x, y);
+        this.bits = bits;
+        this.drivers = drivers;
+        this.pull = pull;
+        this.width = 40;
+        this.height = drivers * 20 + 20;
+        this.delay = 0;
+        this.inputs = new Array(drivers).fill('Z');
+        this.output = 'Z';
+        this.contention = false;
+        this.inputPins = this.inputs.map((_, i) => ({
+            name: `D${i}`,
+            side: 'left',
+            offset: -this.height / 2 + 20 + i * 20,
+            width: bits
+        }));
+        this.outputPins = [{ name: 'OUT', side: 'right', offset: 0, width: bits }];
+    }
+    
+    // An unwired driver slot drives nothing
+    defaultInputValue() {
+        return 'Z';
+    }
+    
+    compute() {
+        const result = Logic.resolve(this.inputs, this.pull, this.bits);
+        this.output = result.value;
+        this.contention = result.contention;
+        return this.output;
+    }
+    
+    draw(ctx) {
+        const bbox = this.getBoundingBox();
+        
+        ctx.fillStyle = this.contention ? '#fee2e2' : (this.selected ? '#e2e8f0' : '#f8fafc');
+        ctx.strokeStyle = this.contention ? '#dc2626' : (this.selected ? '#2563eb' : '#64748b');
+        ctx.lineWidth = this.contention || this.selected ? 2 : 1;
+        
+        ctx.beginPath();
+        ctx.roundRect(bbox.left, bbox.top, this.width, this.height, 4);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('BUS', this.x, bbox.top + 12);
+        ctx.font = '9px monospace';
+        ctx.fillText(CircuitConnection.formatBusValue(this.output, this.bits), this.x, bbox.bottom - 6);
+        
+        if (this.pull !== 'none') {
+            ctx.fillText(this.pull === 'down' ? 'PD' : 'PU', this.x, bbox.bottom + 12);
+        }
+        
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/* ===== CLOCK COMPONENTS ===== */
+
+/**
+ * Square-wave clock. The simulator switches it at each edge; the output
+ * is low for the first half of every cycle and high for the second.
+ */
+class ClockComponent extends CircuitComponent {
+    constructor(id, x = 0, y = 0, frequency = 1) {
+        super(id, 'CLOCK', x, y);
+        this.frequency = frequency; // Hz of simulated time (1 time unit = 1 ms)
+        this.width = 50;
+        this.delay = 0;
+        this.phase = 0;
+        this.edgeCount = 0;
+        this.output = false;
+        this.outputPins = [{ name: 'CLK', side: 'right', offset: 0 }];
+    }
+    
+    get edgesPerCycle() {
+        return 2;
+    }
+    
+    get period() {
+        return 1000 / this.frequency;
+    }
+    
+    getEdgeInterval() {
+        return this.period / this.edgesPerCycle;
+    }
+    
+    nextEdgeAfter(time) {
+        const interval = this.getEdgeInterval();
+        return (Math.floor(time / interval + 1e-9) + 1) * interval;
+    }
+    
+    setTime(time) {
+        const phase = Math.round(time / this.getEdgeInterval()) % this.edgesPerCycle;
+        if (phase !== this.phase) {
+            this.edgeCount++;
+        }
+        this.phase = phase;
+        this.updateOutputs();
+    }
+    
+    updateOutputs() {
+        this.output = this.phase === 1;
+    }
+    
+    compute() {
+        return this.output;
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, [], 5);
+        this.drawWaveIcon(ctx);
+        this.drawDeclaredPins(ctx);
+    }
+    
+    drawWaveIcon(ctx) {
+        ctx.strokeStyle = Logic.colorFor(this.output);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.x - 14, this.y + 6);
+        ctx.lineTo(this.x - 7, this.y + 6);
+        ctx.lineTo(this.x - 7, this.y - 6);
+        ctx.lineTo(this.x + 7, this.y - 6);
+        ctx.lineTo(this.x + 7, this.y + 6);
+        ctx.lineTo(this.x + 14, this.y + 6);
+        ctx.stroke();
+    }
+}
+
+/**
+ * The course's four-phase clock (circuits-clock). Each cycle has four
+ * equal quarters, giving the enable-then-set ordering used to move a value
+ * across the bus:
+ *
+ *   quarter   CLK  CLK_E  CLK_S
+ *      0       0     0      0     enable off
+ *      1       1     1      0     enable on
+ *      2       1     1      1     set on
+ *      3       0     1      0     set off
+ */
+class PhaseClock extends ClockComponent {
+    constructor(id, x = 0, y = 0, frequency = 1) {
+        super(id, x, y, frequency);
+        this.type = 'CLOCK_4PHASE';
+        this.width = 60;
+        this.height = 50;
+        this.outputs = [false, false, false];
+        this.outputPins = [
+            { name: 'CLK', side: 'right', offset: -14 },
+            { name: 'CLK_E', side: 'right', offset: 0 },
+            { name: 'CLK_S', side: 'right', offset: 14 }
+        ];
+    }
+    
+    get edgesPerCycle() {
+        return 4;
+    }
+    
+    updateOutputs() {
+        const table = [
+            [false, false, false],
+            [true, true, false],
+            [true, true, true],
+            [false, true, false]
+        ];
+        [this.outputs[0], this.outputs[1], this.outputs[2]] = table[this.phase];
+        this.output = this.outputs[0];
+    }
+    
+    compute() {
+        return this.outputs;
+    }
+}
+
+/* ===== SEQUENTIAL COMPONENTS ===== */
+
+/**
+ * Base class for components that remember state between evaluations.
+ * Subclasses keep their stored bits in `this.state` so the simulator
+ * can save and restore them.
+ */
+class SequentialComponent extends CircuitComponent {
+    constructor(id, type, x = 0, y = 0) {
+        super(id, type, x, y);
+        this.state = {};
+    }
+    
+    getState() {
+        return { ...this.state };
+    }
+    
+    setState(state = {}) {
+        this.state = { ...this.state, ...state };
+        this.updateOutputs();
+    }
+    
+    // Refresh `outputs` from the stored state
+    updateOutputs() {}
+    
+    // Stored bits are true, false or 'X' once an unknown input reached them
+    static formatBit(value) {
+        return value === 'X' ? 'X' : (value ? 1 : 0);
+    }
+    
+    draw(ctx) {
+        this.drawBody(ctx, this.getDisplayLines());
+        this.drawDeclaredPins(ctx);
+    }
+    
+    getDisplayLines() {
+        return [this.type];
+    }
+}
+
+/**
+ * SR latch (NOR style): S sets Q, R resets it, both low holds.
+ * S and R high together forces Q and Q' low and is flagged as invalid.
+ */
+class SRLatch extends SequentialComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'SR_LATCH', x, y);
+        this.width = 70;
+        this.height = 50;
+        this.inputs = [false, false]; // S, R
+        this.outputs = [false, true]; // Q, Q'
+        this.state = { q: false, invalid: false };
+        this.inputPins = [
+            { name: 'S', side: 'left', offset: -12 },
+            { name: 'R', side: 'left', offset: 12 }
+        ];
+        this.outputPins = [
+            { name: 'Q', side: 'right', offset: -12 },
+            { name: 'Qbar', side: 'right', offset: 12 }
+        ];
+    }
+    
+    compute() {
+        const [s, r] = this.inputs;
+        
+        if (!Logic.isKnown(s) || !Logic.isKnown(r)) {
+            // An unknown S or R may set, reset or hold, so Q stays known
+            // only when the other input is low and Q already agrees
+            this.state.invalid = false;
+            if (!(s === false && this.state.q === false) && !(r === false && this.state.q === true)) {
+                this.state.q = 'X';
+            }
+        } else {
+            this.state.invalid = s === true && r === true;
+            if (s === true && r !== true) {
+                this.state.q = true;
+            } else if (r === true && s !== true) {
+                this.state.q = false;
+            }
+        }
+        
+        this.updateOutputs();
+        return this.outputs;
+    }
+    
+    updateOutputs() {
+        if (this.state.invalid) {
+            this.outputs[0] = false;
+            this.outputs[1] = false;
+        } else {
+            this.outputs[0] = this.state.q;
+            this.outputs[1] = Logic.not(this.state.q);
+        }
+    }
+    
+    getDisplayLines() {
+        return ['SR', this.state.invalid ? 'Q=?' : `Q=${SequentialComponent.formatBit(this.state.q)}`];
+    }
+}
+
+/**
+ * Gated D latch: Q follows D while E (enable/set) is high and holds otherwise.
+ * This is the course's 1-bit memory cell with its "i" and "s" inputs.
+ */
+class DLatch extends SequentialComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'D_LATCH', x, y);
+        this.width = 70;
+        this.height = 50;
+        this.inputs = [false, false]; // D, E
+        this.outputs = [false, true]; // Q, Q'
+        this.state = { q: false };
+        this.inputPins = [
+            { name: 'D', side: 'left', offset: -12 },
+            { name: 'E', side: 'left', offset: 12 }
+        ];
+        this.outputPins = [
+            { name: 'Q', side: 'right', offset: -12 },
+            { name: 'Qbar', side: 'right', offset: 12 }
+        ];
+    }
+    
+    compute() {
+        const [d, enable] = this.inputs;
+        if (enable === true) {
+            this.state.q = Logic.isKnown(d) ? d : 'X';
+        } else if (!Logic.isKnown(enable) && d !== this.state.q) {
+            // The latch may or may not have loaded D
+            this.state.q = 'X';
+        }
+        
+        this.updateOutputs();
+        return this.outputs;
+    }
+    
+    updateOutputs() {
+        this.outputs[0] = this.state.q;
+        this.outputs[1] = Logic.not(this.state.q);
+    }
+    
+    getDisplayLines() {
+        return ['D LATCH', `Q=${SequentialComponent.formatBit(this.state.q)}`];
+    }
+}
+
+/**
+ * Positive edge-triggered D flip-flop: Q takes the value of D only when
+ * CLK goes from low to high.
+ */
+class DFlipFlop extends SequentialComponent {
+    constructor(id, x = 0, y = 0) {
+        super(id, 'D_FLIPFLOP', x, y);
+        this.width = 70;
+        this.height = 50;
+        this.inputs = [false, false]; // D, CLK
+        this.outputs = [false, true]; // Q, Q'
+        this.state = { q: false, lastClock: false };
+        this.inputPins = [
+            { name: 'D', side: 'left', offset: -12 },
+            { name: 'CLK', side: 'left', offset: 12 }
+        ];
+        this.outputPins = [
+            { name: 'Q', side: 'right', offset: -12 },
+            { name: 'Qbar', side: 'right', offset: 12 }
+        ];
+    }
+    
+    compute() {
+        const [d, clock] = this.inputs;
+        if (!this.state.lastClock) {
+            if (clock === true) {
+                this.state.q = Logic.isKnown(d) ? d : 'X';
+            } else if (!Logic.isKnown(clock) && d !== this.state.q) {
+                // An unknown clock may or may not be a rising edge
+                this.state.q = 'X';
+            }
+        }
+        this.state.lastClock = clock === true;
+        
+        this.updateOutputs();
+        return this.outputs;
+    }
+    
+    updateOutputs() {
+        this.outputs[0] = this.state.q;
+        this.outputs[1] = Logic.not(this.state.q);
+    }
+    
+    getDisplayLines() {
+        return ['D FF', `Q=${SequentialComponent.formatBit(this.state.q)}`];
+    }
+}
+
+/**
+ * Register with set and enable, as built in circuits-creating-an-8-bit-register.
+ * While S is high the stored value follows D0..Dn; Q0..Qn show the stored
+ * value only while E is high and are low otherwise.
+ */
+class Register extends SequentialComponent {
+    constructor(id, x = 0, y = 0, bits = 8) {
+        super(id, 'REGISTER', x, y);
+        this.bits = bits;
+        this.width = 80;
+        this.height = (bits + 2) * 14 + 10;
+        this.inputs = new Array(bits + 2).fill(false); // D0..Dn, S, E
+        this.outputs = new Array(bits).fill(false); // Q0..Qn
+        this.state = { value: 0 };
+        
+        const top = -this.height / 2 + 12;
+        this.inputPins = [];
+        this.outputPins = [];
+        for (let i = 0; i < bits; i++) {
+            this.inputPins.push({ name: `D${i}`, side: 'left', offset: top + i * 14 });
+            this.outputPins.push({ name: `Q${i}`, side: 'right', offset: top + i * 14 });
+        }
+        this.inputPins.push({ name: 'S', side: 'left', offset: top + bits * 14 });
+        this.inputPins.push({ name: 'E', side: 'left', offset: top + (bits + 1) * 14 });
+    }
+    
+    compute() {
+        const set = this.inputs[this.bits];
+        const data = this.inputs.slice(0, this.bits);
+        const value = data.every(Logic.isKnown)
+            ? data.reduce((value, bit, i) => value | (bit === true ? 1 << i : 0), 0)
+            : 'X';
+        
+        if (set === true) {
+            this.state.value = value;
+        } else if (!Logic.isKnown(set) && value !== this.state.value) {
+            // The register may or may not have loaded D0..Dn
+            this.state.value = 'X';
+        }
+        
+        this.updateOutputs();
+        return this.outputs;
+    }
+    
+    updateOutputs() {
+        const enabled = this.inputs[this.bits + 1];
+        for (let i = 0; i < this.bits; i++) {
+            const bit = this.state.value === 'X' ? 'X' : ((this.state.value >> i) & 1) === 1;
+            this.outputs[i] = Logic.and(enabled, bit);
+        }
+    }
+    
+    getDisplayLines() {
+        if (this.state.value === 'X') return ['REG', 'X'];
+        const digits = Math.ceil(this.bits / 4);
+        return ['REG', '0x' + this.state.value.toString(16).toUpperCase().padStart(digits, '0')];
+    }
+}
+
+/**
+ * Ring-counter stepper from circuits-stepper: exactly one of S1..Sn is high.
+ * Each rising CLK edge moves to the next step, wrapping from the last step
+ * back to S1, and RESET holds the stepper at S1.
+ */
+class Stepper extends SequentialComponent {
+    constructor(id, x = 0, y = 0, steps = 6) {
+        super(id, 'STEPPER', x, y);
+        this.steps = steps;
+        this.width = 70;
+        this.height = steps * 14 + 16;
+        this.inputs = [false, false]; // CLK, RESET
+        this.outputs = new Array(steps).fill(false);
+        this.state = { step: 1, lastClock: false };
+        this.inputPins = [
+            { name: 'CLK', side: 'left', offset: -10 },
+            { name: 'RESET', side: 'left', offset: 10 }
+        ];
+        this.outputPins = this.outputs.map((_, i) => ({
+            name: `S${i + 1}`,
+            side: 'right',
+            offset: -this.height / 2 + 15 + i * 14
+        }));
+        this.updateOutputs();
+    }
+    
+    compute() {
+        const [clock, reset] = this.inputs;
+        
+        if (reset === true) {
+            this.state.step = 1;
+        } else if (clock === true && !this.state.lastClock) {
+            this.state.step = this.state.step % this.steps + 1;
+        }
+        this.state.lastClock = clock === true;
+        
+        this.updateOutputs();
+        return this.outputs;
+    }
+    
+    updateOutputs() {
+        this.outputs.forEach((_, i) => {
+            this.outputs[i] = this.state.step === i + 1;
+        });
+    }
+    
+    getDisplayLines() {
+        return ['STEP', String(this.state.step)];
+    }
+}
+
+/* ===== MEMORY COMPONENTS ===== */
+
+/**
+ * 256-byte RAM from circuits-ram-summary: a 16x16 matrix of bytes selected
+ * by the Memory Address Register. The high nibble of MAR picks the row and
+ * the low nibble the column. While SA is high MAR loads ADDR; while S is
+ * high the selected byte loads IN; while E is high the byte drives OUT,
+ * which is released (Z) otherwise, like the buffer on each RAM byte.
+ *
+ * The expanded view draws the whole matrix with the selected row and
+ * column highlighted. `state.memory` keeps the same array for the life of
+ * the component, so a CpuEmulator can share it as program memory.
+ */
+class RamComponent extends SequentialComponent {
+    static get SIZE() {
+        return 256;
+    }
+    
+    constructor(id, x = 0, y = 0, expanded = false) {
+        super(id, 'RAM', x, y);
+        this.bits = 8;
+        this.inputs = [0, false, 0, false, false]; // ADDR, SA, IN, S, E
+        this.output = 'Z';
+        this.state = { mar: 0, memory: new Array(RamComponent.SIZE).fill(0) };
+        this.setExpanded(expanded);
+    }
+    
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this.width = expanded ? 372 : 90;
+        this.height = expanded ? 236 : 100;
+        
+        const spread = expanded ? 2 : 1;
+        this.inputPins = [
+            { name: 'ADDR', side: 'left', offset: -30 * spread, width: 8 },
+            { name: 'SA', side: 'left', offset: -10 * spread },
+            { name: 'IN', side: 'left', offset: 20 * spread, width: 8 },
+            { name: 'S', side: 'bottom', offset: -15 * spread },
+            { name: 'E', side: 'bottom', offset: 15 * spread }
+        ];
+        this.outputPins = [{ name: 'OUT', side: 'right', offset: 0, width: 8 }];
+    }
+    
+    get memory() {
+        return this.state.memory;
+    }
+    
+    compute() {
+        const [address, setAddress, data, set] = this.inputs;
+        
+        if (setAddress === true && Logic.isKnown(address)) {
+            this.state.mar = address & 0xFF;
+        }
+        if (set === true && Logic.isKnown(data)) {
+            this.state.memory[this.state.mar] = data & 0xFF;
+        }
+        
+        this.updateOutputs();
+        return this.output;
+    }
+    
+    updateOutputs() {
+        const enable = this.inputs[4];
+        if (enable === true) {
+            this.output = this.state.memory[this.state.mar];
+        } else if (enable === false) {
+            this.output = 'Z';
+        } else {
+            this.output = 'X';
+        }
+    }
+    
+    // Copy the bytes so saved states and undo snapshots don't follow later writes
+    getState() {
+        return { mar: this.state.mar, memory: this.state.memory.slice() };
+    }
+    
+    setState(state = {}) {
+        if (state.mar !== undefined) {
+            this.state.mar = state.mar & 0xFF;
+        }
+        if (Array.isArray(state.memory)) {
+            this.load(state.memory);
+        }
+        this.updateOutputs();
+    }
+    
+    /**
+     * Overwrite memory from address 0; bytes past the end of `bytes` are cleared.
+     */
+    load(bytes) {
+        for (let i = 0; i < RamComponent.SIZE; i++) {
+            this.state.memory[i] = (bytes[i] || 0) & 0xFF;
+        }
+    }
+    
+    // Point MAR at an address without going through the pins (used by CpuEmulator)
+    selectAddress(address) {
+        this.state.mar = address & 0xFF;
+        this.updateOutputs();
+    }
+    
+    loadImage(text) {
+        this.load(window.ModuleUtils.RawImage.parse(text, { size: RamComponent.SIZE }));
+        this.updateOutputs();
+    }
+    
+    // MYSIM.txt layout: one byte per line with CRLF line endings
+    toImage() {
+        return window.ModuleUtils.RawImage.stringify(this.state.memory, { lineEnding: '\r\n' });
+    }
+    
+    getDisplayLines() {
+        const hex = value => '0x' + value.toString(16).toUpperCase().padStart(2, '0');
+        return ['RAM', `MAR ${hex(this.state.mar)}`, hex(this.state.memory[this.state.mar])];
+    }
+    
+    draw(ctx) {
+        if (!this.expanded) {
+            super.draw(ctx);
+            return;
+        }
+        
+        this.drawBody(ctx, [], 6);
+        
+        const bbox = this.getBoundingBox();
+        const left = bbox.left + 44;
+        const top = bbox.top + 30;
+        const row = this.state.mar >> 4;
+        const column = this.state.mar & 0xF;
+        const [, , , set, enable] = this.inputs;
+        
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#1e293b';
+        ctx.fillText(`RAM  MAR ${this.state.mar.toString(16).toUpperCase().padStart(2, '0')}`, bbox.left + 8, bbox.top + 12);
+        
+        // Selected row and column, as driven by the row and column decoders
+        ctx.fillStyle = '#dbeafe';
+        ctx.fillRect(left, top + row * 12, 320, 12);
+        ctx.fillRect(left + column * 20, top, 20, 192);
+        
+        ctx.fillStyle = set === true ? '#fecaca' : (enable === true ? '#bbf7d0' : '#93c5fd');
+        ctx.fillRect(left + column * 20, top + row * 12, 20, 12);
+        
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'center';
+        for (let i = 0; i < 16; i++) {
+            const digit = i.toString(16).toUpperCase();
+            ctx.fillStyle = i === column ? '#1d4ed8' : '#64748b';
+            ctx.fillText(`_${digit}`, left + i * 20 + 10, top - 4);
+            ctx.fillStyle = i === row ? '#1d4ed8' : '#64748b';
+            ctx.fillText(`${digit}_`, left - 10, top + i * 12 + 9);
+        }
+        
+        ctx.fillStyle = '#1e293b';
+        this.state.memory.forEach((value, address) => {
+            const x = left + (address & 0xF) * 20 + 10;
+            const y = top + (address >> 4) * 12 + 9;
+            ctx.fillText(value.toString(16).toUpperCase().padStart(2, '0'), x, y);
+        });
+        
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, 320, 192);
+        
+        this.drawDeclaredPins(ctx);
+    }
+}
+
+/* ===== SUBCIRCUITS ===== */
+
+/**
+ * A packaged circuit placed as one component. The definition's INPUT and
+ * OUTPUT components become its pins, named by their labels and ordered top
+ * to bottom. Each instance runs its own copy of the circuit in a headless
+ * CircuitSimulator, so latches and registers inside keep separate state,
+ * and a definition may place other subcircuits to any depth.
+ *
+ * The inner circuit settles completely each time the instance computes,
+ * so the instance's own delay stands in for the delays inside it.
+ */
+class SubcircuitComponent extends SequentialComponent {
+    // Size of the inner circuit in the expanded view
+    static get SCALE() {
+        return 0.5;
+    }
+    
+    constructor(id, x = 0, y = 0, circuit, definitions, expanded = false) {
+        super(id, 'SUBCIRCUIT', x, y);
+        
+        const definition = definitions[circuit];
+        if (!definition) {
+            throw new Error(`Unknown subcircuit "${circuit}"`);
+        }
+        this.circuit = circuit;
+        this.label = circuit;
+        this.pins = SubcircuitComponent.pinsOf(definition);
+        
+        this.inner = new CircuitSimulator(null);
+        this.inner.subcircuits = definitions;
+        this.inner.history.runSuspended(() => {
+            definition.components.forEach(compData => this.inner.restoreComponent(compData));
+            definition.connections.forEach(connData => this.inner.restoreConnection(connData));
+        });
+        
+        this.inputs = this.pins.inputs.map(pin => (pin.width > 1 ? 0 : false));
+        this.outputs = this.pins.outputs.map(pin => (pin.width > 1 ? 0 : false));
+        this.setExpanded(expanded);
+        this.compute();
+    }
+    
+    /**
+     * Input and output pins of a definition: { name, id, width } for each
+     * INPUT and OUTPUT component, sorted by position.
+     */
+    static pinsOf(definition) {
+        const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+        const pins = type => definition.components
+            .filter(comp => comp.type.toUpperCase() === type)
+            .sort(byPosition)
+            .map(comp => ({
+                name: comp.label || comp.id,
+                id: comp.id,
+                width: (comp.props && comp.props.bits) || 1
+            }));
+        return { inputs: pins('INPUT'), outputs: pins('OUTPUT') };
+    }
+    
+    /**
+     * Switch between a labelled box and a live view of the circuit inside.
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        
+        const rows = Math.max(this.pins.inputs.length, this.pins.outputs.length, 1);
+        this.width = 90;
+        this.height = rows * 20 + 20;
+        if (expanded) {
+            const area = this.innerArea();
+            this.width = Math.max(this.width, area.width * SubcircuitComponent.SCALE + 40);
+            this.height = Math.max(this.height, area.height * SubcircuitComponent.SCALE + 40);
+        }
         
-        ctx.fillStyle = '#1e293b';
-        ctx.font = 'bold 12px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('FULL', this.x, this.y - 5);
-        ctx.fillText('ADDER', this.x, this.y + 8);
+        const place = (pins, side) => pins.map((pin, i) => ({
+            name: pin.name,
+            side,
+            offset: CircuitComponent.spreadPins(pins.length, 20)[i],
+            width: pin.width
+        }));
+        this.inputPins = place(this.pins.inputs, 'left');
+        this.outputPins = place(this.pins.outputs, 'right');
+    }
+    
+    // Bounding box of the inner components in their own coordinates
+    innerArea() {
+        return SubcircuitComponent.areaOf(this.inner);
+    }
+    
+    static areaOf(simulator) {
+        const boxes = simulator.components.map(comp => comp.getBoundingBox());
+        if (boxes.length === 0) {
+            return { left: 0, top: 0, width: 0, height: 0 };
+        }
         
-        this.drawFullAdderPins(ctx);
+        const left = Math.min(...boxes.map(box => box.left));
+        const top = Math.min(...boxes.map(box => box.top));
+        return {
+            left,
+            top,
+            width: Math.max(...boxes.map(box => box.right)) - left,
+            height: Math.max(...boxes.map(box => box.bottom)) - top
+        };
     }
     
-    drawFullAdderPins(ctx) {
+    getOutputValue(index) {
+        return this.outputs[index];
+    }
+    
+    compute() {
+        this.pins.inputs.forEach((pin, i) => {
+            this.inner.getComponentById(pin.id).value = this.inputs[i];
+        });
+        
+        const result = this.inner.simulate();
+        this.pins.outputs.forEach((pin, i) => {
+            this.outputs[i] = result.oscillating ? 'X' : this.inner.getComponentById(pin.id).value;
+        });
+        return this.outputs;
+    }
+    
+    // State of every stateful part inside, by id
+    getState() {
+        const components = {};
+        this.inner.components
+            .filter(comp => comp instanceof SequentialComponent)
+            .forEach(comp => {
+                components[comp.id] = comp.getState();
+            });
+        return { components };
+    }
+    
+    setState(state = {}) {
+        Object.entries(state.components || {}).forEach(([id, componentState]) => {
+            const component = this.inner.getComponentById(id);
+            if (component instanceof SequentialComponent) {
+                component.setState(componentState);
+            }
+        });
+        this.compute();
+    }
+    
+    draw(ctx) {
+        if (!this.expanded) {
+            this.drawBody(ctx, [this.circuit], 4);
+            this.drawDeclaredPins(ctx);
+            return;
+        }
+        
+        this.drawBody(ctx, [], 4);
+        
         const bbox = this.getBoundingBox();
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.circuit, bbox.left + 6, bbox.top + 12);
         
-        // Input pins
-        const inputPositions = [-20, 0, 20];
-        const inputLabels = ['A', 'B', 'Cin'];
+        SubcircuitComponent.drawCircuit(ctx, this.inner, this.x, this.y + 6);
+        this.drawDeclaredPins(ctx);
+    }
+    
+    // Draw a headless simulator's circuit at SCALE, centred on (x, y)
+    static drawCircuit(ctx, simulator, x, y) {
+        const area = SubcircuitComponent.areaOf(simulator);
+        const scale = SubcircuitComponent.SCALE;
+        
+        ctx.save();
+        ctx.translate(x - (area.left + area.width / 2) * scale, y - (area.top + area.height / 2) * scale);
+        ctx.scale(scale, scale);
+        simulator.connections.forEach(connection => connection.draw(ctx, false, 'hex'));
+        simulator.components.forEach(component => component.draw(ctx));
+        ctx.restore();
+    }
+}
+
+/* ===== WAVEFORMS ===== */
+
+/**
+ * Writes probe samples as a Value Change Dump (IEEE 1364 VCD), the text
+ * format GTKWave and most HDL tools read.
+ */
+class VcdWriter {
+    // Identifier codes use printable ASCII 33-126: "!", "\"", ... "~", "!!", ...
+    static identifier(index) {
+        let code = '';
+        do {
+            code += String.fromCharCode(33 + (index % 94));
+            index = Math.floor(index / 94) - 1;
+        } while (index >= 0);
+        return code;
+    }
+    
+    static formatValue(value, width, code) {
+        if (width === 1) {
+            const bit = value === 'Z' ? 'z' : (Logic.isKnown(value) ? (value ? '1' : '0') : 'x');
+            return `${bit}${code}`;
+        }
+        const bits = value === 'Z' ? 'z' : (Logic.isKnown(value) ? (value >>> 0).toString(2) : 'x');
+        return `b${bits} ${code}`;
+    }
+    
+    /**
+     * @param {SignalProbe[]} probes - Probes to dump, one $var each
+     * @param {Object} options - timescale (default '1 ms', one simulation
+     *     time unit), scope name and date
+     * @returns {string} VCD text
+     */
+    static write(probes, options = {}) {
+        const codes = probes.map((_, i) => VcdWriter.identifier(i));
+        const lines = [
+            `$date ${(options.date || new Date()).toUTCString()} $end`,
+            '$version CSC210 circuit simulator $end',
+            `$timescale ${options.timescale || '1 ms'} $end`,
+            `$scope module ${options.scope || 'circuit'} $end`,
+            ...probes.map((probe, i) => {
+                const name = probe.label.replace(/\s+/g, '_');
+                const range = probe.width > 1 ? ` [${probe.width - 1}:0]` : '';
+                return `$var wire ${probe.width} ${codes[i]} ${name}${range} $end`;
+            }),
+            '$upscope $end',
+            '$enddefinitions $end'
+        ];
+        
+        const times = [...new Set(probes.flatMap(probe => probe.samples.map(sample => sample.time)))]
+            .sort((a, b) => a - b);
+        const next = probes.map(() => 0); // Index of each probe's next unwritten sample
+        
+        times.forEach((time, n) => {
+            lines.push(`#${time}`);
+            if (n === 0) lines.push('$dumpvars');
+            
+            probes.forEach((probe, i) => {
+                const sample = probe.samples[next[i]];
+                if (sample && sample.time === time) {
+                    lines.push(VcdWriter.formatValue(sample.value, probe.width, codes[i]));
+                    next[i]++;
+                } else if (n === 0) {
+                    // Not yet sampled: unknown until its first change
+                    lines.push(VcdWriter.formatValue('X', probe.width, codes[i]));
+                }
+            });
+            
+            if (n === 0) lines.push('$end');
+        });
         
-        inputPositions.forEach((offset, i) => {
-            ctx.fillStyle = this.inputs[i] ? '#059669' : '#64748b';
-            ctx.beginPath();
-            ctx.arc(bbox.left, this.y + offset, 4, 0, 2 * Math.PI);
-            ctx.fill();
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Live timing diagram of a simulator's probes, kept in step with
+ * simulation time. Drag the slider or use the mouse wheel to scroll back;
+ * click to place cursor A and shift-click to place cursor B.
+ */
+class WaveformView {
+    static get NAME_WIDTH() {
+        return 120;
+    }
+    
+    static get ROW_HEIGHT() {
+        return 28;
+    }
+    
+    static get AXIS_HEIGHT() {
+        return 20;
+    }
+    
+    /**
+     * @param {HTMLElement} container - Element the view is appended to
+     * @param {CircuitSimulator} simulator - Simulator whose probes are shown
+     * @param {Object} options - width in pixels and scale in pixels per time unit
+     */
+    constructor(container, simulator, options = {}) {
+        this.simulator = simulator;
+        this.width = options.width || 640;
+        this.scale = options.scale || 8;
+        this.start = 0; // Time at the left edge of the plot
+        this.follow = true; // Scroll along with the simulation
+        this.cursors = { a: null, b: null };
+        
+        this.group = document.createElement('div');
+        this.group.className = 'control-group waveform-view';
+        this.group.innerHTML = `
+            <h4>Waveforms</h4>
+            <canvas class="waveform-canvas" aria-label="Waveforms of the probed signals"></canvas>
+            <input type="range" class="waveform-scroll" min="0" max="0" value="0" aria-label="Scroll waveforms">
+            <div class="flex flex-wrap items-center">
+                <button type="button" class="btn btn-small btn-secondary" data-action="zoom-in">Zoom in</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="zoom-out">Zoom out</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="follow" aria-pressed="true">Follow</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="clear">Clear</button>
+                <button type="button" class="btn btn-small btn-primary" data-action="export">Export VCD</button>
+            </div>
+            <p class="text-muted" aria-live="polite" data-role="readout"></p>
+        `;
+        
+        this.canvas = this.group.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.slider = this.group.querySelector('.waveform-scroll');
+        this.readout = this.group.querySelector('[data-role="readout"]');
+        this.followButton = this.group.querySelector('[data-action="follow"]');
+        
+        this.setupEventListeners();
+        simulator.panels.push(() => this.refresh());
+        
+        container.appendChild(this.group);
+        this.refresh();
+    }
+    
+    setupEventListeners() {
+        this.slider.addEventListener('input', () => {
+            this.setFollow(false);
+            this.start = Number(this.slider.value);
+            this.refresh();
+        });
+        
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.setFollow(false);
+            this.start = Math.max(0, this.start + Math.sign(event.deltaY) * this.getSpan() / 10);
+            this.refresh();
+        });
+        
+        this.canvas.addEventListener('click', (event) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            if (x < WaveformView.NAME_WIDTH) return;
+            
+            const time = Math.max(0, Math.round(this.timeAt(x)));
+            this.cursors[event.shiftKey ? 'b' : 'a'] = time;
+            this.refresh();
+        });
+        
+        this.group.querySelector('[data-action="zoom-in"]').addEventListener('click', () => this.zoom(2));
+        this.group.querySelector('[data-action="zoom-out"]').addEventListener('click', () => this.zoom(0.5));
+        this.followButton.addEventListener('click', () => {
+            this.setFollow(!this.follow);
+            this.refresh();
+        });
+        
+        this.group.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            this.simulator.probes.forEach(probe => {
+                probe.clear();
+                probe.record(this.simulator.simulationTime);
+            });
+            this.cursors = { a: null, b: null };
+            this.refresh();
+        });
+        
+        this.group.querySelector('[data-action="export"]').addEventListener('click', () => {
+            const blob = new Blob([VcdWriter.write(this.simulator.probes)], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'waveforms.vcd';
+            link.click();
+        });
+    }
+    
+    setFollow(follow) {
+        this.follow = follow;
+        this.followButton.setAttribute('aria-pressed', String(follow));
+    }
+    
+    zoom(factor) {
+        const center = this.start + this.getSpan() / 2;
+        this.scale = Math.min(200, Math.max(0.05, this.scale * factor));
+        this.start = Math.max(0, center - this.getSpan() / 2);
+        this.refresh();
+    }
+    
+    // Time units visible across the plot area
+    getSpan() {
+        return (this.width - WaveformView.NAME_WIDTH) / this.scale;
+    }
+    
+    timeAt(x) {
+        return this.start + (x - WaveformView.NAME_WIDTH) / this.scale;
+    }
+    
+    xAt(time) {
+        return WaveformView.NAME_WIDTH + (time - this.start) * this.scale;
+    }
+    
+    refresh() {
+        const end = this.simulator.simulationTime;
+        const lastStart = Math.max(0, end - this.getSpan());
+        if (this.follow) {
+            this.start = lastStart;
+        }
+        
+        this.slider.max = String(Math.ceil(Math.max(lastStart, this.start)));
+        this.slider.value = String(Math.round(this.start));
+        
+        this.draw();
+        this.updateReadout();
+    }
+    
+    resizeCanvas() {
+        const rows = Math.max(1, this.simulator.probes.length);
+        const height = WaveformView.AXIS_HEIGHT + rows * WaveformView.ROW_HEIGHT;
+        const dpr = window.devicePixelRatio || 1;
+        
+        if (this.canvas.width !== this.width * dpr || this.canvas.height !== height * dpr) {
+            this.canvas.width = this.width * dpr;
+            this.canvas.height = height * dpr;
+            this.canvas.style.width = this.width + 'px';
+            this.canvas.style.height = height + 'px';
+        }
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return height;
+    }
+    
+    draw() {
+        const ctx = this.ctx;
+        const height = this.resizeCanvas();
+        const probes = this.simulator.probes;
+        
+        ctx.clearRect(0, 0, this.width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, height);
+        
+        this.drawAxis(height);
+        
+        if (probes.length === 0) {
+            ctx.fillStyle = '#64748b';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText('Alt-click a pin or wire to probe it', 8, WaveformView.AXIS_HEIGHT + 18);
+        }
+        
+        probes.forEach((probe, row) => {
+            const top = WaveformView.AXIS_HEIGHT + row * WaveformView.ROW_HEIGHT;
             
             ctx.fillStyle = '#1e293b';
-            ctx.font = '10px monospace';
-            ctx.textAlign = 'right';
-            ctx.fillText(inputLabels[i], bbox.left - 8, this.y + offset + 4);
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'left';
+            ctx.fillText(probe.label, 6, top + 18, WaveformView.NAME_WIDTH - 12);
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(WaveformView.NAME_WIDTH, top, this.width - WaveformView.NAME_WIDTH, WaveformView.ROW_HEIGHT);
+            ctx.clip();
+            this.drawTrace(probe, top + 5, top + WaveformView.ROW_HEIGHT - 5);
+            ctx.restore();
+        });
+        
+        this.drawCursor(this.cursors.a, '#2563eb', 'A', height);
+        this.drawCursor(this.cursors.b, '#dc2626', 'B', height);
+    }
+    
+    drawAxis(height) {
+        const ctx = this.ctx;
+        // Tick spacing of 1, 2 or 5 times a power of ten, at least 60px apart
+        const raw = 60 / this.scale;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= raw);
+        
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 1;
+        
+        for (let time = Math.ceil(this.start / step) * step; time <= this.start + this.getSpan(); time += step) {
+            const x = this.xAt(time);
+            ctx.beginPath();
+            ctx.moveTo(x, WaveformView.AXIS_HEIGHT - 4);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(time * 1000) / 1000), x, 12);
+        }
+    }
+    
+    // One probe's changes between the edges of the plot
+    drawTrace(probe, high, low) {
+        const ctx = this.ctx;
+        const end = this.simulator.simulationTime;
+        const mid = (high + low) / 2;
+        const left = WaveformView.NAME_WIDTH;
+        const right = Math.min(this.width, this.xAt(end));
+        
+        const segments = [];
+        probe.samples.forEach((sample, i) => {
+            const next = probe.samples[i + 1];
+            const until = next ? next.time : end;
+            if (until < this.start || this.xAt(sample.time) > right) return;
+            segments.push({ x0: Math.max(left - 1, this.xAt(sample.time)), x1: this.xAt(until), value: sample.value });
+        });
+        
+        ctx.lineWidth = 1.5;
+        segments.forEach(({ x0, x1, value }, i) => {
+            x1 = Math.min(x1, right);
+            
+            if (value === 'Z') {
+                ctx.strokeStyle = '#d97706';
+                ctx.beginPath();
+                ctx.moveTo(x0, mid);
+                ctx.lineTo(x1, mid);
+                ctx.stroke();
+                return;
+            }
+            if (!Logic.isKnown(value)) {
+                ctx.fillStyle = 'rgba(220, 38, 38, 0.25)';
+                ctx.fillRect(x0, high, x1 - x0, low - high);
+                ctx.strokeStyle = '#dc2626';
+                ctx.strokeRect(x0, high, x1 - x0, low - high);
+                return;
+            }
+            
+            ctx.strokeStyle = '#059669';
+            if (probe.width === 1) {
+                const y = value ? high : low;
+                const previous = segments[i - 1];
+                const fromY = previous && previous.value === !value ? (value ? low : high) : y;
+                ctx.beginPath();
+                ctx.moveTo(x0, fromY);
+                ctx.lineTo(x0, y);
+                ctx.lineTo(x1, y);
+                ctx.stroke();
+                return;
+            }
+            
+            // Bus: a lane between crossings, labelled with its value in hex
+            const slope = Math.min(3, (x1 - x0) / 2);
+            ctx.beginPath();
+            ctx.moveTo(x0, mid);
+            ctx.lineTo(x0 + slope, high);
+            ctx.lineTo(x1 - slope, high);
+            ctx.lineTo(x1, mid);
+            ctx.lineTo(x1 - slope, low);
+            ctx.lineTo(x0 + slope, low);
+            ctx.closePath();
+            ctx.stroke();
+            
+            const text = CircuitConnection.formatBusValue(value, probe.width);
+            ctx.font = '11px monospace';
+            if (ctx.measureText(text).width < x1 - x0 - 8) {
+                ctx.fillStyle = '#1e293b';
+                ctx.textAlign = 'center';
+                ctx.fillText(text, (x0 + x1) / 2, mid + 4);
+            }
+        });
+    }
+    
+    drawCursor(time, color, name, height) {
+        if (time === null) return;
+        const x = this.xAt(time);
+        if (x < WaveformView.NAME_WIDTH || x > this.width) return;
+        
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, WaveformView.AXIS_HEIGHT - 4);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.fillStyle = color;
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(name, x + 3, WaveformView.AXIS_HEIGHT - 6);
+    }
+    
+    // Cursor times, their distance and the signal values at cursor A
+    updateReadout() {
+        const { a, b } = this.cursors;
+        const parts = [`t = ${this.simulator.simulationTime}`];
+        
+        if (a !== null) parts.push(`A = ${a}`);
+        if (b !== null) parts.push(`B = ${b}`);
+        if (a !== null && b !== null) {
+            const delta = Math.abs(b - a);
+            parts.push(delta > 0 ? `|B - A| = ${delta} ms (${Math.round(100000 / delta) / 100} Hz)` : '|B - A| = 0');
+        }
+        
+        if (a !== null) {
+            this.simulator.probes.forEach(probe => {
+                const value = probe.valueAt(a);
+                if (value === undefined) return;
+                const text = probe.width > 1
+                    ? CircuitConnection.formatBusValue(value, probe.width)
+                    : (Logic.isKnown(value) ? (value ? '1' : '0') : value);
+                parts.push(`${probe.label} = ${text}`);
+            });
+        }
+        
+        this.readout.textContent = parts.join(', ');
+    }
+}
+
+/* ===== COMPONENT PALETTE ===== */
+
+/**
+ * Palette panel for building circuits by hand. Items can be dragged onto
+ * the simulator canvas or activated with click/Enter to place them in the
+ * middle of the canvas. Drops snap to the simulator's gridSize and every
+ * new component gets a unique id.
+ */
+class ComponentPalette {
+    constructor(simulator, container = null) {
+        this.simulator = simulator;
+        this.element = document.createElement('div');
+        this.element.className = 'circuit-palette';
+        this.element.setAttribute('role', 'toolbar');
+        this.element.setAttribute('aria-label', 'Circuit components');
+        
+        simulator.options.builderMode = true;
+        
+        this.subcircuitGroup = null;
+        this.renderItems();
+        this.renderSubcircuits();
+        this.setupDropTarget();
+        
+        // Definitions change through undoable edits, so follow the history
+        simulator.canvas.addEventListener('circuithistory', () => this.renderSubcircuits());
+        
+        if (container) {
+            container.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * Palette entries grouped by category. `options` are passed to
+     * addComponent(); add entries here as new component types appear.
+     */
+    static get CATALOG() {
+        return [
+            {
+                group: 'Input / Output',
+                items: [
+                    { type: 'INPUT', label: 'Input' },
+                    { type: 'OUTPUT', label: 'Output' },
+                    { type: 'INPUT', label: '8-bit Input', options: { bits: 8 } },
+                    { type: 'OUTPUT', label: '8-bit Output', options: { bits: 8 } }
+                ]
+            },
+            {
+                group: 'Gates',
+                items: [
+                    { type: 'AND', label: 'AND' },
+                    { type: 'OR', label: 'OR' },
+                    { type: 'XOR', label: 'XOR' },
+                    { type: 'NOT', label: 'NOT' }
+                ]
+            },
+            {
+                group: 'Arithmetic',
+                items: [
+                    { type: 'HALF_ADDER', label: 'Half Adder' },
+                    { type: 'FULL_ADDER', label: 'Full Adder' },
+                    { type: 'ALU', label: '8-bit ALU' }
+                ]
+            },
+            {
+                group: 'Routing',
+                items: [
+                    { type: 'MUX_4TO1', label: '4:1 MUX' },
+                    { type: 'MUX', label: '8:1 MUX', options: { select: 3 } },
+                    { type: 'DEMUX', label: '1:4 DEMUX', options: { select: 2 } },
+                    { type: 'DECODER', label: '2:4 Decoder', options: { select: 2 } },
+                    { type: 'DECODER', label: '4:16 Decoder', options: { select: 4 } },
+                    { type: 'ENCODER', label: '4:2 Priority Encoder', options: { select: 2 } },
+                    { type: 'SPLITTER', label: 'Splitter' },
+                    { type: 'JOINER', label: 'Joiner' },
+                    { type: 'TRISTATE', label: 'Tri-state' },
+                    { type: 'BUS', label: 'Bus', options: { pull: 'down' } }
+                ]
+            },
+            {
+                group: 'Memory',
+                items: [
+                    { type: 'SR_LATCH', label: 'SR Latch' },
+                    { type: 'D_LATCH', label: 'D Latch' },
+                    { type: 'D_FLIPFLOP', label: 'D Flip-Flop' },
+                    { type: 'REGISTER', label: 'Register' },
+                    { type: 'RAM', label: '256-byte RAM', options: { expanded: true } }
+                ]
+            },
+            {
+                group: 'Timing',
+                items: [
+                    { type: 'CLOCK', label: 'Clock' },
+                    { type: 'CLOCK_4PHASE', label: '4-Phase Clock' },
+                    { type: 'STEPPER', label: 'Stepper' }
+                ]
+            }
+        ];
+    }
+    
+    renderItems() {
+        ComponentPalette.CATALOG.forEach(({ group, items }) => {
+            this.element.appendChild(this.renderGroup(group, items));
+        });
+    }
+    
+    // One entry per subcircuit defined in the simulator, kept last
+    renderSubcircuits() {
+        if (this.subcircuitGroup) {
+            this.subcircuitGroup.remove();
+            this.subcircuitGroup = null;
+        }
+        
+        const names = Object.keys(this.simulator.subcircuits);
+        if (names.length === 0) return;
+        
+        const items = names.map(name => ({ type: 'SUBCIRCUIT', label: name, options: { circuit: name } }));
+        this.subcircuitGroup = this.renderGroup('Subcircuits', items);
+        this.element.appendChild(this.subcircuitGroup);
+    }
+    
+    renderGroup(group, items) {
+        const section = document.createElement('div');
+        section.className = 'circuit-palette-group';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = group;
+        section.appendChild(heading);
+        
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'circuit-palette-item';
+            button.textContent = item.label;
+            button.draggable = true;
+            button.title = `Drag onto the canvas or press to add a ${item.label}`;
+            
+            button.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(ComponentPalette.DRAG_TYPE, JSON.stringify(item));
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+            
+            button.addEventListener('click', () => {
+                const rect = this.simulator.canvas.getBoundingClientRect();
+                this.place(item, rect.width / 2, rect.height / 2);
+            });
+            
+            section.appendChild(button);
+        });
+        
+        return section;
+    }
+    
+    static get DRAG_TYPE() {
+        return 'application/x-csc210-component';
+    }
+    
+    setupDropTarget() {
+        const canvas = this.simulator.canvas;
+        
+        canvas.addEventListener('dragover', (e) => {
+            if (Array.from(e.dataTransfer.types).includes(ComponentPalette.DRAG_TYPE)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        
+        canvas.addEventListener('drop', (e) => {
+            const data = e.dataTransfer.getData(ComponentPalette.DRAG_TYPE);
+            if (!data) return;
+            
+            e.preventDefault();
+            const { x, y } = this.simulator.getCanvasPoint(e);
+            this.place(JSON.parse(data), x, y);
+        });
+    }
+    
+    /**
+     * Add a catalog item at a canvas position, snapped to the grid.
+     * @returns {CircuitComponent} The new component
+     */
+    place(item, x, y) {
+        const simulator = this.simulator;
+        const id = simulator.generateId(item.type);
+        const options = { ...(item.options || {}) };
+        
+        // Inputs and outputs are labeled after their id number: IN1, OUT2, ...
+        if (item.type === 'INPUT' || item.type === 'OUTPUT') {
+            options.label = (item.type === 'INPUT' ? 'IN' : 'OUT') + id.split('_').pop();
+        }
+        
+        const component = simulator.addComponent(
+            item.type, id, simulator.snapToGrid(x), simulator.snapToGrid(y), options
+        );
+        
+        simulator.simulate();
+        simulator.selectComponent(component);
+        return component;
+    }
+}
+
+/* ===== LOGISIM INTERCHANGE ===== */
+
+/**
+ * Reads and writes Logisim .circ files (Logisim 2.7 and Logisim-evolution).
+ * Logisim connects parts by geometry: wire ends, component ports and
+ * same-named tunnels that touch form one net. Import rebuilds those nets and
+ * turns each one into wires from its single driver; subcircuits are
+ * flattened into the parent. Export writes one tunnel per pin so the file
+ * does not depend on matching our wire routes to Logisim's grid.
+ */
+class LogisimFormat {
+    // Logisim gate name -> simulator gate, with an inverter after it for NAND/NOR/XNOR
+    static get GATES() {
+        return {
+            'AND Gate': { type: 'AND', negate: false },
+            'OR Gate': { type: 'OR', negate: false },
+            'XOR Gate': { type: 'XOR', negate: false },
+            'NAND Gate': { type: 'AND', negate: true },
+            'NOR Gate': { type: 'OR', negate: true },
+            'XNOR Gate': { type: 'XOR', negate: true }
+        };
+    }
+    
+    static parsePoint(text) {
+        const match = /\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)/.exec(text || '');
+        return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+    }
+    
+    static formatPoint(point) {
+        return `(${point.x},${point.y})`;
+    }
+    
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    static childElements(element, tagName) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.tagName === tagName);
+    }
+    
+    /**
+     * Turn an offset drawn for an east-facing part into one for `facing`.
+     */
+    static rotate(offset, facing) {
+        switch (facing) {
+            case 'north':
+                return { x: offset.y, y: -offset.x };
+            case 'south':
+                return { x: -offset.y, y: offset.x };
+            case 'west':
+                return { x: -offset.x, y: -offset.y };
+            default:
+                return { x: offset.x, y: offset.y };
+        }
+    }
+    
+    /**
+     * Parse .circ XML into { source, main, circuits }, where each circuit
+     * is { name, comps: [{ lib, name, loc, attrs }], wires: [{ from, to }], appearance }.
+     * lib is the library description (e.g. "#Gates"), or null for a subcircuit.
+     */
+    static parse(xmlText) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('Reading Logisim files needs a browser (DOMParser is not available)');
+        }
+        
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a Logisim file: the XML could not be parsed');
+        }
+        
+        const project = doc.documentElement;
+        if (!project || project.tagName !== 'project') {
+            throw new Error('Not a Logisim file: expected a <project> root element');
+        }
+        
+        const libraries = {};
+        LogisimFormat.childElements(project, 'lib').forEach(lib => {
+            libraries[lib.getAttribute('name')] = lib.getAttribute('desc');
+        });
+        
+        const readAttrs = (element) => {
+            const attrs = {};
+            LogisimFormat.childElements(element, 'a').forEach(a => {
+                attrs[a.getAttribute('name')] = a.hasAttribute('val') ? a.getAttribute('val') : a.textContent;
+            });
+            return attrs;
+        };
+        
+        const circuits = {};
+        let firstCircuit = null;
+        LogisimFormat.childElements(project, 'circuit').forEach(circuit => {
+            const name = circuit.getAttribute('name');
+            firstCircuit = firstCircuit || name;
+            
+            const comps = LogisimFormat.childElements(circuit, 'comp').map(comp => ({
+                lib: comp.hasAttribute('lib') ? (libraries[comp.getAttribute('lib')] || null) : null,
+                name: comp.getAttribute('name'),
+                loc: LogisimFormat.parsePoint(comp.getAttribute('loc')),
+                attrs: readAttrs(comp)
+            }));
+            
+            const wires = LogisimFormat.childElements(circuit, 'wire').map(wire => ({
+                from: LogisimFormat.parsePoint(wire.getAttribute('from')),
+                to: LogisimFormat.parsePoint(wire.getAttribute('to'))
+            })).filter(wire => wire.from && wire.to);
+            
+            // A custom appearance places each port explicitly relative to the anchor
+            let appearance = null;
+            const appear = LogisimFormat.childElements(circuit, 'appear')[0];
+            if (appear) {
+                const center = (element) => ({
+                    x: Number(element.getAttribute('x')) + Number(element.getAttribute('width')) / 2,
+                    y: Number(element.getAttribute('y')) + Number(element.getAttribute('height')) / 2
+                });
+                const anchorElement = LogisimFormat.childElements(appear, 'circ-anchor')[0];
+                if (anchorElement) {
+                    const anchor = center(anchorElement);
+                    appearance = {};
+                    LogisimFormat.childElements(appear, 'circ-port').forEach(port => {
+                        const pos = center(port);
+                        appearance[port.getAttribute('pin')] = {
+                            x: Math.round(pos.x - anchor.x),
+                            y: Math.round(pos.y - anchor.y)
+                        };
+                    });
+                }
+            }
+            
+            circuits[name] = { name, comps, wires, appearance, attrs: readAttrs(circuit) };
         });
         
-        // Output pins
-        const outputPositions = [-12, 12];
-        const outputLabels = ['S', 'Cout'];
+        const main = LogisimFormat.childElements(project, 'main')[0];
+        return {
+            source: project.getAttribute('source') || '',
+            main: main ? main.getAttribute('name') : firstCircuit,
+            circuits
+        };
+    }
+    
+    /**
+     * Port offsets, relative to the instance location, of a subcircuit drawn
+     * with Logisim's default box: pins sit on the side opposite the way they
+     * face, 10 apart, and the anchor is the first east-side port.
+     * @returns {Object} pin location text "(x,y)" -> { x, y } offset
+     */
+    static defaultPortOffsets(circuit) {
+        const edges = { north: [], south: [], east: [], west: [] };
+        const opposite = { north: 'south', south: 'north', east: 'west', west: 'east' };
+        
+        circuit.comps.filter(LogisimFormat.isPin).forEach(pin => {
+            const facing = pin.attrs.facing || (LogisimFormat.isOutputPin(pin) ? 'west' : 'east');
+            edges[opposite[facing] || 'west'].push(pin);
+        });
+        edges.east.sort((a, b) => a.loc.y - b.loc.y || a.loc.x - b.loc.x);
+        edges.west.sort((a, b) => a.loc.y - b.loc.y || a.loc.x - b.loc.x);
+        edges.north.sort((a, b) => a.loc.x - b.loc.x || a.loc.y - b.loc.y);
+        edges.south.sort((a, b) => a.loc.x - b.loc.x || a.loc.y - b.loc.y);
+        
+        const computeOffset = (numFacing, numOpposite, maxOthers) => {
+            const maxThis = Math.max(numFacing, numOpposite);
+            let maxOffset = 5;
+            if (maxThis <= 1) {
+                maxOffset = maxOthers === 0 ? 15 : 10;
+            } else if (maxThis === 2) {
+                maxOffset = 10;
+            }
+            return maxOffset + 10 * Math.floor((maxThis - numFacing) / 2);
+        };
+        const computeDimension = (maxThis, maxOthers) => {
+            if (maxThis < 3) return 30;
+            return maxOthers === 0 ? 10 * maxThis : 10 * maxThis + 10;
+        };
         
-        outputPositions.forEach((offset, i) => {
-            ctx.fillStyle = this.outputs[i] ? '#059669' : '#64748b';
-            ctx.beginPath();
-            ctx.arc(bbox.right, this.y + offset, 4, 0, 2 * Math.PI);
-            ctx.fill();
-            
-            ctx.fillStyle = '#1e293b';
-            ctx.textAlign = 'left';
-            ctx.fillText(outputLabels[i], bbox.right + 8, this.y + offset + 4);
+        const n = { north: edges.north.length, south: edges.south.length, east: edges.east.length, west: edges.west.length };
+        const maxVert = Math.max(n.north, n.south);
+        const maxHorz = Math.max(n.east, n.west);
+        const offs = {
+            north: computeOffset(n.north, n.south, maxHorz),
+            south: computeOffset(n.south, n.north, maxHorz),
+            east: computeOffset(n.east, n.west, maxVert),
+            west: computeOffset(n.west, n.east, maxVert)
+        };
+        const width = computeDimension(maxVert, maxHorz);
+        const height = computeDimension(maxHorz, maxVert);
+        
+        let anchor = { x: 0, y: 0 };
+        if (n.east > 0) {
+            anchor = { x: width, y: offs.east };
+        } else if (n.north > 0) {
+            anchor = { x: offs.north, y: 0 };
+        } else if (n.west > 0) {
+            anchor = { x: 0, y: offs.west };
+        } else if (n.south > 0) {
+            anchor = { x: offs.south, y: height };
+        }
+        
+        const offsets = {};
+        const place = (pins, x, y, dx, dy) => pins.forEach((pin, i) => {
+            offsets[LogisimFormat.formatPoint(pin.loc)] = { x: x + dx * i - anchor.x, y: y + dy * i - anchor.y };
         });
+        place(edges.west, 0, offs.west, 0, 10);
+        place(edges.east, width, offs.east, 0, 10);
+        place(edges.north, offs.north, 0, 10, 0);
+        place(edges.south, offs.south, height, 10, 0);
+        return offsets;
     }
-}
-
-/**
- * 4:1 Multiplexer implementation
- */
-class Multiplexer4to1 extends CircuitComponent {
-    constructor(id, x = 0, y = 0) {
-        super(id, 'MUX_4TO1', x, y);
-        this.width = 80;
-        this.height = 100;
-        this.dataInputs = [false, false, false, false]; // D0, D1, D2, D3
-        this.selectInputs = [false, false]; // S0, S1
-        this.output = false;
+    
+    static isPin(comp) {
+        return comp.lib === '#Wiring' && comp.name === 'Pin';
     }
     
-    compute() {
-        const selectValue = this.selectInputs[1] * 2 + this.selectInputs[0];
-        this.output = this.dataInputs[selectValue];
-        return this.output;
+    static isOutputPin(comp) {
+        return comp.attrs.output === 'true' || comp.attrs.type === 'output';
     }
     
-    draw(ctx) {
-        const bbox = this.getBoundingBox();
+    /**
+     * Convert a parsed project into version 2 circuit data for importCircuit().
+     * @returns {{data: Object, unsupported: string[]}}
+     */
+    static toCircuitData(project, circuitName = project.main) {
+        const root = project.circuits[circuitName];
+        if (!root) {
+            const names = Object.keys(project.circuits);
+            throw new Error(
+                `Logisim file has no circuit named "${circuitName}"` +
+                (names.length ? ` (circuits: ${names.join(', ')})` : '')
+            );
+        }
         
-        // Draw trapezoid shape typical of MUX symbol
-        ctx.fillStyle = this.selected ? '#e2e8f0' : '#f8fafc';
-        ctx.strokeStyle = this.selected ? '#2563eb' : '#64748b';
-        ctx.lineWidth = this.selected ? 2 : 1;
+        // Logisim 2.x gates default to 5 inputs; Logisim-evolution to 2
+        const defaultInputs = /^2\./.test(project.source) ? 5 : 2;
+        const parent = new Map();
+        const memberCount = new Map();
+        const find = (key) => {
+            if (!parent.has(key)) parent.set(key, key);
+            let rootKey = key;
+            while (parent.get(rootKey) !== rootKey) rootKey = parent.get(rootKey);
+            parent.set(key, rootKey);
+            return rootKey;
+        };
+        const union = (a, b) => {
+            const ra = find(a);
+            const rb = find(b);
+            if (ra !== rb) parent.set(ra, rb);
+        };
+        const touch = (key) => memberCount.set(key, (memberCount.get(key) || 0) + 1);
+        const keyOf = (prefix, point) => `${prefix}${point.x},${point.y}`;
+        const offsetPoint = (loc, offset, facing) => {
+            const turned = LogisimFormat.rotate(offset, facing);
+            return { x: loc.x + turned.x, y: loc.y + turned.y };
+        };
         
-        ctx.beginPath();
-        ctx.moveTo(bbox.left, bbox.top + 10);
-        ctx.lineTo(bbox.right - 20, bbox.top);
-        ctx.lineTo(bbox.right, bbox.bottom);
-        ctx.lineTo(bbox.left, bbox.bottom - 10);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
+        const components = [];
+        const ports = []; // { key, component, pin, direction }
+        const pendingGates = [];
+        const unsupported = [];
+        const counters = {};
+        const nextId = (prefix, base) => {
+            const name = `${prefix}${base}`;
+            counters[name] = (counters[name] || 0) + 1;
+            return `${name}_${counters[name]}`;
+        };
         
-        // Label
-        ctx.fillStyle = '#1e293b';
-        ctx.font = 'bold 10px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('MUX', this.x, this.y - 10);
-        ctx.fillText('4:1', this.x, this.y + 5);
+        const expand = (circuit, prefix, origin, stack) => {
+            const where = (comp) => `${stack.join(' > ')}: "${comp.name}" at ${LogisimFormat.formatPoint(comp.loc || { x: 0, y: 0 })}`;
+            const tunnels = {};
+            const xs = circuit.comps.filter(c => c.loc).map(c => c.loc.x);
+            const ys = circuit.comps.filter(c => c.loc).map(c => c.loc.y);
+            const minX = xs.length ? Math.min(...xs) : 0;
+            const minY = ys.length ? Math.min(...ys) : 0;
+            const place = (loc, dx = 0) => ({
+                x: origin ? origin.x + loc.x - minX + dx : loc.x + dx,
+                y: origin ? origin.y + loc.y - minY : loc.y
+            });
+            
+            circuit.wires.forEach(wire => {
+                const a = keyOf(prefix, wire.from);
+                const b = keyOf(prefix, wire.to);
+                union(a, b);
+                touch(a);
+                touch(b);
+            });
+            
+            circuit.comps.forEach(comp => {
+                if (!comp.loc) {
+                    unsupported.push(`${where(comp)}: missing location`);
+                    return;
+                }
+                
+                const key = keyOf(prefix, comp.loc);
+                const facing = comp.attrs.facing || 'east';
+                const width = Number(comp.attrs.width || 1);
+                const gate = comp.lib === '#Gates' ? LogisimFormat.GATES[comp.name] : null;
+                
+                if (comp.lib === '#Base' && comp.name === 'Text') {
+                    return;
+                }
+                
+                if (LogisimFormat.isPin(comp)) {
+                    // Nested pins are the subcircuit's interface, joined by the instance
+                    if (stack.length > 1) return;
+                    
+                    const isOutput = LogisimFormat.isOutputPin(comp);
+                    const type = isOutput ? 'OUTPUT' : 'INPUT';
+                    const id = nextId(prefix, type.toLowerCase());
+                    const pos = place(comp.loc, isOutput ? 20 : -20);
+                    components.push({
+                        id,
+                        type,
+                        label: comp.attrs.label || `${isOutput ? 'OUT' : 'IN'}${counters[`${prefix}${type.toLowerCase()}`]}`,
+                        x: pos.x,
+                        y: pos.y,
+                        props: { bits: width }
+                    });
+                    ports.push({ key, component: id, pin: isOutput ? 'IN' : 'OUT', direction: isOutput ? 'input' : 'output' });
+                    touch(key);
+                } else if (comp.lib === '#Wiring' && comp.name === 'Tunnel') {
+                    const label = comp.attrs.label || '';
+                    if (tunnels[label]) {
+                        union(key, tunnels[label]);
+                    } else {
+                        tunnels[label] = key;
+                    }
+                    touch(key);
+                } else if (comp.lib === '#Wiring' && comp.name === 'Clock') {
+                    const id = nextId(prefix, 'clock');
+                    const pos = place(comp.loc, -20);
+                    components.push({ id, type: 'CLOCK', label: comp.attrs.label, x: pos.x, y: pos.y, props: {} });
+                    ports.push({ key, component: id, pin: 'CLK', direction: 'output' });
+                    touch(key);
+                } else if (gate || (comp.lib === '#Gates' && comp.name === 'NOT Gate')) {
+                    if (width !== 1) {
+                        unsupported.push(`${where(comp)}: ${width}-bit gates are not supported`);
+                        return;
+                    }
+                    if (Object.keys(comp.attrs).some(name => /^negate/.test(name) && comp.attrs[name] === 'true')) {
+                        unsupported.push(`${where(comp)}: negated gate inputs are not supported`);
+                        return;
+                    }
+                    
+                    let inputOffsets;
+                    if (gate) {
+                        const inputs = Number(comp.attrs.inputs || defaultInputs);
+                        const size = Number(comp.attrs.size || 50);
+                        inputOffsets = LogisimFormat.gateInputOffsets(inputs, size);
+                    } else {
+                        const size = comp.attrs.size === 'narrow' || comp.attrs.size === '20' ? 20 : 30;
+                        inputOffsets = [{ x: -size, y: 0 }];
+                    }
+                    pendingGates.push({
+                        comp,
+                        where: where(comp),
+                        prefix,
+                        pos: place(comp.loc, gate ? -30 : -20),
+                        type: gate ? gate.type : 'NOT',
+                        negate: gate ? gate.negate : false,
+                        outputKey: key,
+                        inputKeys: inputOffsets.map(offset => keyOf(prefix, LogisimFormat.gateInputPoint(comp.loc, offset, facing)))
+                    });
+                    touch(key);
+                } else if (comp.lib === null && project.circuits[comp.name]) {
+                    const sub = project.circuits[comp.name];
+                    if (stack.includes(sub.name)) {
+                        throw new Error(`Logisim subcircuit "${sub.name}" contains itself (${stack.join(' > ')})`);
+                    }
+                    
+                    const instancePrefix = `${nextId(prefix, sub.name.replace(/\W+/g, '_'))}.`;
+                    const offsets = sub.appearance || LogisimFormat.defaultPortOffsets(sub);
+                    sub.comps.filter(LogisimFormat.isPin).forEach(pin => {
+                        const offset = offsets[LogisimFormat.formatPoint(pin.loc)];
+                        if (!offset) {
+                            unsupported.push(`${where(comp)}: pin ${LogisimFormat.formatPoint(pin.loc)} has no port on the subcircuit`);
+                            return;
+                        }
+                        const outerKey = keyOf(prefix, offsetPoint(comp.loc, offset, facing));
+                        union(outerKey, keyOf(instancePrefix, pin.loc));
+                        touch(outerKey);
+                    });
+                    
+                    expand(sub, instancePrefix, place(comp.loc), [...stack, sub.name]);
+                } else {
+                    unsupported.push(`${where(comp)}${comp.lib ? ` (${comp.lib})` : ''} is not supported`);
+                }
+            });
+        };
         
-        this.drawMuxPins(ctx);
+        expand(root, '', null, [root.name]);
+        
+        // A gate input counts as used when anything else touches its net
+        const netSize = new Map();
+        memberCount.forEach((count, key) => {
+            const rootKey = find(key);
+            netSize.set(rootKey, (netSize.get(rootKey) || 0) + count);
+        });
+        const isUsed = (key) => (netSize.get(find(key)) || 0) + (memberCount.has(key) ? 0 : 1) > 1;
+        
+        pendingGates.forEach(gate => {
+            const used = gate.inputKeys.filter(isUsed);
+            const limit = gate.type === 'NOT' ? 1 : 2;
+            if (used.length > limit) {
+                unsupported.push(`${gate.where}: ${used.length} connected inputs (only ${limit}-input gates are supported)`);
+                return;
+            }
+            
+            const pinNames = gate.type === 'NOT' ? ['A'] : ['A', 'B'];
+            const inputs = used.length > 0 ? used : gate.inputKeys.slice(0, limit);
+            const id = nextId(gate.prefix, gate.type.toLowerCase());
+            components.push({
+                id,
+                type: gate.type,
+                label: gate.comp.attrs.label || undefined,
+                x: gate.pos.x,
+                y: gate.pos.y,
+                props: {}
+            });
+            inputs.forEach((key, i) => ports.push({ key, component: id, pin: pinNames[i], direction: 'input' }));
+            
+            let outputId = id;
+            if (gate.negate) {
+                outputId = nextId(gate.prefix, 'not');
+                components.push({ id: outputId, type: 'NOT', x: gate.pos.x + 50, y: gate.pos.y, props: {} });
+                ports.push({ key: `${id}#Y`, component: id, pin: 'Y', direction: 'output' });
+                ports.push({ key: `${id}#Y`, component: outputId, pin: 'A', direction: 'input' });
+            }
+            ports.push({ key: gate.outputKey, component: outputId, pin: 'Y', direction: 'output' });
+        });
+        
+        // Each net becomes wires from its one driver to every input on it
+        const nets = new Map();
+        ports.forEach(port => {
+            const rootKey = find(port.key);
+            if (!nets.has(rootKey)) nets.set(rootKey, { drivers: [], sinks: [] });
+            nets.get(rootKey)[port.direction === 'output' ? 'drivers' : 'sinks'].push(port);
+        });
+        
+        const connections = [];
+        nets.forEach(net => {
+            if (net.drivers.length > 1) {
+                unsupported.push(
+                    `${net.drivers.map(p => `${p.component}.${p.pin}`).join(', ')}: ` +
+                    'several outputs drive one net (wired buses are not supported)'
+                );
+                return;
+            }
+            if (net.drivers.length === 0) return;
+            
+            const driver = net.drivers[0];
+            net.sinks.forEach(sink => {
+                connections.push({ from: driver.component, fromPin: driver.pin, to: sink.component, toPin: sink.pin, route: [] });
+            });
+        });
+        
+        return {
+            data: {
+                format: CircuitSimulator.FILE_FORMAT,
+                version: CircuitSimulator.FILE_VERSION,
+                components,
+                connections
+            },
+            unsupported
+        };
     }
     
-    drawMuxPins(ctx) {
-        const bbox = this.getBoundingBox();
+    /**
+     * Input offsets of an east-facing Logisim gate, following Logisim's own
+     * spacing rules for the gate size and input count.
+     */
+    static gateInputOffsets(inputs, size) {
+        let skipStart = -5;
+        let skipDist = 10;
+        let skipLowerEven = 10;
+        if (inputs <= 3) {
+            if (size < 40) {
+                skipStart = -5;
+                skipDist = 10;
+                skipLowerEven = 10;
+            } else if (size < 60 || inputs <= 2) {
+                skipStart = -10;
+                skipDist = 20;
+                skipLowerEven = 20;
+            } else {
+                skipStart = -15;
+                skipDist = 30;
+                skipLowerEven = 30;
+            }
+        } else if (inputs === 4 && size >= 60) {
+            skipStart = -5;
+            skipDist = 20;
+            skipLowerEven = 0;
+        }
         
-        // Data inputs (left side)
-        const dataPositions = [-30, -10, 10, 30];
-        dataPositions.forEach((offset, i) => {
-            ctx.fillStyle = this.dataInputs[i] ? '#059669' : '#64748b';
-            ctx.beginPath();
-            ctx.arc(bbox.left, this.y + offset, 3, 0, 2 * Math.PI);
-            ctx.fill();
+        const offsets = [];
+        for (let i = 0; i < inputs; i++) {
+            let dy;
+            if (inputs % 2 === 1) {
+                dy = skipStart * (inputs - 1) + skipDist * i;
+            } else {
+                dy = skipStart * inputs + skipDist * i;
+                if (i >= inputs / 2) dy += skipLowerEven;
+            }
+            offsets.push({ x: -size, y: dy });
+        }
+        return offsets;
+    }
+    
+    // Gates mirror rather than rotate, so they keep their input order
+    static gateInputPoint(loc, offset, facing) {
+        const length = -offset.x;
+        switch (facing) {
+            case 'north':
+                return { x: loc.x + offset.y, y: loc.y + length };
+            case 'south':
+                return { x: loc.x + offset.y, y: loc.y - length };
+            case 'west':
+                return { x: loc.x + length, y: loc.y + offset.y };
+            default:
+                return { x: loc.x - length, y: loc.y + offset.y };
+        }
+    }
+    
+    /**
+     * Write live components and connections as a single-circuit .circ file.
+     * @returns {{xml: string, unsupported: string[]}}
+     */
+    static write(components, connections, circuitName = 'main') {
+        const snap = (value) => Math.round(value / 10) * 10;
+        const escape = LogisimFormat.escape;
+        const attr = (name, value) => `      <a name="${name}" val="${escape(value)}"/>`;
+        const lines = [];
+        const unsupported = [];
+        const portPoints = new Map(); // "id:direction:index" -> Logisim port location
+        const used = new Set();
+        const mark = (point) => used.add(LogisimFormat.formatPoint(point));
+        
+        components.forEach(component => {
+            const compLines = [];
+            let lib = '1';
+            let name;
+            let anchor;
+            let portOffsets; // "direction:index" -> offset from loc
             
-            ctx.fillStyle = '#1e293b';
-            ctx.font = '8px monospace';
-            ctx.textAlign = 'right';
-            ctx.fillText(`D${i}`, bbox.left - 5, this.y + offset + 3);
+            switch (component.type) {
+                case 'AND':
+                case 'OR':
+                case 'XOR':
+                    anchor = component.getPinPosition('output', 0);
+                    name = `${component.type} Gate`;
+                    compLines.push(attr('inputs', '2'));
+                    portOffsets = { 'output:0': { x: 0, y: 0 } };
+                    LogisimFormat.gateInputOffsets(2, 50).forEach((offset, i) => {
+                        portOffsets[`input:${i}`] = offset;
+                    });
+                    break;
+                case 'NOT':
+                    anchor = component.getPinPosition('output', 0);
+                    name = 'NOT Gate';
+                    portOffsets = { 'input:0': { x: -30, y: 0 }, 'output:0': { x: 0, y: 0 } };
+                    break;
+                case 'INPUT':
+                case 'OUTPUT': {
+                    const isOutput = component.type === 'OUTPUT';
+                    anchor = isOutput ? component.getPinPosition('input', 0) : component.getPinPosition('output', 0);
+                    lib = '0';
+                    name = 'Pin';
+                    if (isOutput) {
+                        compLines.push(attr('facing', 'west'), attr('output', 'true'));
+                    }
+                    if (component.bits > 1) {
+                        compLines.push(attr('width', component.bits));
+                    }
+                    compLines.push(attr('label', component.label));
+                    portOffsets = { [`${isOutput ? 'input' : 'output'}:0`]: { x: 0, y: 0 } };
+                    break;
+                }
+                case 'CLOCK':
+                    anchor = component.getPinPosition('output', 0);
+                    lib = '0';
+                    name = 'Clock';
+                    portOffsets = { 'output:0': { x: 0, y: 0 } };
+                    break;
+                default:
+                    unsupported.push(`"${component.id}" (${component.type}) has no Logisim equivalent`);
+                    return;
+            }
+            
+            // Ports that land on another part's port would join their nets, so move down until clear
+            const loc = { x: snap(anchor.x), y: snap(anchor.y) };
+            const portsAt = (at) => Object.entries(portOffsets).map(([ref, offset]) => [ref, { x: at.x + offset.x, y: at.y + offset.y }]);
+            while (portsAt(loc).some(([, point]) => used.has(LogisimFormat.formatPoint(point)))) {
+                loc.y += 10;
+            }
+            portsAt(loc).forEach(([ref, point]) => {
+                portPoints.set(`${component.id}:${ref}`, point);
+                mark(point);
+            });
+            
+            if (component.label && component.type !== 'INPUT' && component.type !== 'OUTPUT') {
+                compLines.push(attr('label', component.label));
+            }
+            lines.push(`    <comp lib="${lib}" loc="${LogisimFormat.formatPoint(loc)}" name="${name}"${compLines.length ? '>' : '/>'}`);
+            if (compLines.length) {
+                lines.push(...compLines, '    </comp>');
+            }
         });
         
-        // Select inputs (bottom)
-        const selectPositions = [-10, 10];
-        selectPositions.forEach((offset, i) => {
-            ctx.fillStyle = this.selectInputs[i] ? '#059669' : '#64748b';
-            ctx.beginPath();
-            ctx.arc(this.x + offset, bbox.bottom, 3, 0, 2 * Math.PI);
-            ctx.fill();
+        // Every pin gets a short stub wire ending in a tunnel named after the driving pin
+        const tunnelled = new Set();
+        const addTunnel = (componentId, direction, index, label) => {
+            const tunnelKey = `${componentId}:${direction}:${index}`;
+            if (tunnelled.has(tunnelKey)) return;
+            tunnelled.add(tunnelKey);
             
-            ctx.fillStyle = '#1e293b';
-            ctx.textAlign = 'center';
-            ctx.fillText(`S${i}`, this.x + offset, bbox.bottom + 12);
-        });
+            const port = portPoints.get(tunnelKey);
+            const step = direction === 'output' ? 10 : -10;
+            let end = { x: port.x + 2 * step, y: port.y };
+            while (used.has(LogisimFormat.formatPoint(end))) {
+                end = { x: end.x + step, y: end.y };
+            }
+            mark(end);
+            
+            lines.push(`    <wire from="${LogisimFormat.formatPoint(port)}" to="${LogisimFormat.formatPoint(end)}"/>`);
+            lines.push(`    <comp lib="0" loc="${LogisimFormat.formatPoint(end)}" name="Tunnel">`);
+            if (direction === 'input') {
+                lines.push(attr('facing', 'east'));
+            }
+            lines.push(attr('label', label), '    </comp>');
+        };
         
-        // Output (right side)
-        ctx.fillStyle = this.output ? '#059669' : '#64748b';
-        ctx.beginPath();
-        ctx.arc(bbox.right, this.y, 4, 0, 2 * Math.PI);
-        ctx.fill();
+        connections.forEach(connection => {
+            const fromKey = `${connection.from.id}:output:${connection.fromOutput}`;
+            const toKey = `${connection.to.id}:input:${connection.toInput}`;
+            if (!portPoints.has(fromKey) || !portPoints.has(toKey)) return;
+            
+            const pinName = connection.from.getPin('output', connection.fromOutput).name;
+            const label = `${connection.from.id}_${pinName}`;
+            addTunnel(connection.from.id, 'output', connection.fromOutput, label);
+            addTunnel(connection.to.id, 'input', connection.toInput, label);
+        });
         
-        ctx.fillStyle = '#1e293b';
-        ctx.textAlign = 'left';
-        ctx.fillText('Y', bbox.right + 8, this.y + 4);
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<project source="2.7.1" version="1.0">',
+            '  <lib desc="#Wiring" name="0"/>',
+            '  <lib desc="#Gates" name="1"/>',
+            `  <main name="${escape(circuitName)}"/>`,
+            `  <circuit name="${escape(circuitName)}">`,
+            `    <a name="circuit" val="${escape(circuitName)}"/>`,
+            ...lines,
+            '  </circuit>',
+            '</project>',
+            ''
+        ].join('\n');
+        
+        return { xml, unsupported };
     }
 }
 
@@ -1208,84 +8278,96 @@ class Multiplexer4to1 extends CircuitComponent {
  */
 class CircuitTemplates {
     static halfAdderCircuit(simulator) {
-        simulator.clear();
-        
-        // Add components
-        const inputA = simulator.addComponent('INPUT', 'input_a', 50, 80, { label: 'A' });
-        const inputB = simulator.addComponent('INPUT', 'input_b', 50, 140, { label: 'B' });
-        const xorGate = simulator.addComponent('XOR', 'xor_1', 200, 100);
-        const andGate = simulator.addComponent('AND', 'and_1', 200, 160);
-        const sumOutput = simulator.addComponent('OUTPUT', 'sum_out', 350, 100, { label: 'SUM' });
-        const carryOutput = simulator.addComponent('OUTPUT', 'carry_out', 350, 160, { label: 'CARRY' });
-        
-        // Connect components
-        simulator.connectComponents('input_a', 0, 'xor_1', 0);
-        simulator.connectComponents('input_b', 0, 'xor_1', 1);
-        simulator.connectComponents('input_a', 0, 'and_1', 0);
-        simulator.connectComponents('input_b', 0, 'and_1', 1);
-        simulator.connectComponents('xor_1', 0, 'sum_out', 0);
-        simulator.connectComponents('and_1', 0, 'carry_out', 0);
-        
-        simulator.simulate();
-        simulator.render();
-        
-        return {
-            inputs: { A: inputA, B: inputB },
-            outputs: { SUM: sumOutput, CARRY: carryOutput }
-        };
+        return simulator.history.batch('Load half adder', () => {
+            simulator.clear();
+
+            // Add components
+            const inputA = simulator.addComponent('INPUT', 'input_a', 50, 80, { label: 'A' });
+            const inputB = simulator.addComponent('INPUT', 'input_b', 50, 140, { label: 'B' });
+            const xorGate = simulator.addComponent('XOR', 'xor_1', 200, 100);
+            const andGate = simulator.addComponent('AND', 'and_1', 200, 160);
+            const sumOutput = simulator.addComponent('OUTPUT', 'sum_out', 350, 100, { label: 'SUM' });
+            const carryOutput = simulator.addComponent('OUTPUT', 'carry_out', 350, 160, { label: 'CARRY' });
+
+            // Connect components
+            simulator.connectComponents('input_a', 0, 'xor_1', 0);
+            simulator.connectComponents('input_b', 0, 'xor_1', 1);
+            simulator.connectComponents('input_a', 0, 'and_1', 0);
+            simulator.connectComponents('input_b', 0, 'and_1', 1);
+            simulator.connectComponents('xor_1', 0, 'sum_out', 0);
+            simulator.connectComponents('and_1', 0, 'carry_out', 0);
+
+            simulator.simulate();
+            simulator.render();
+
+            return {
+                inputs: { A: inputA, B: inputB },
+                outputs: { SUM: sumOutput, CARRY: carryOutput }
+            };
+        });
     }
     
     static fullAdderCircuit(simulator) {
-        simulator.clear();
-        
-        // This would be more complex, implementing full adder with gates
-        // For brevity, using the FullAdder component directly
-        const inputA = simulator.addComponent('INPUT', 'input_a', 50, 60, { label: 'A' });
-        const inputB = simulator.addComponent('INPUT', 'input_b', 50, 100, { label: 'B' });
-        const inputCin = simulator.addComponent('INPUT', 'input_cin', 50, 140, { label: 'Cin' });
-        const fullAdder = simulator.addComponent('FULL_ADDER', 'fa_1', 200, 100);
-        const sumOutput = simulator.addComponent('OUTPUT', 'sum_out', 350, 80, { label: 'SUM' });
-        const carryOutput = simulator.addComponent('OUTPUT', 'carry_out', 350, 120, { label: 'Cout' });
-        
-        // Note: This would need connection logic for the FullAdder component
-        
-        return {
-            inputs: { A: inputA, B: inputB, Cin: inputCin },
-            outputs: { SUM: sumOutput, CARRY: carryOutput }
-        };
+        return simulator.history.batch('Load full adder', () => {
+            simulator.clear();
+
+            // For brevity, using the FullAdder component directly
+            const inputA = simulator.addComponent('INPUT', 'input_a', 50, 60, { label: 'A' });
+            const inputB = simulator.addComponent('INPUT', 'input_b', 50, 100, { label: 'B' });
+            const inputCin = simulator.addComponent('INPUT', 'input_cin', 50, 140, { label: 'Cin' });
+            const fullAdder = simulator.addComponent('FULL_ADDER', 'fa_1', 200, 100);
+            const sumOutput = simulator.addComponent('OUTPUT', 'sum_out', 350, 80, { label: 'SUM' });
+            const carryOutput = simulator.addComponent('OUTPUT', 'carry_out', 350, 120, { label: 'Cout' });
+
+            simulator.connectComponents('input_a', 0, 'fa_1', 'A');
+            simulator.connectComponents('input_b', 0, 'fa_1', 'B');
+            simulator.connectComponents('input_cin', 0, 'fa_1', 'Cin');
+            simulator.connectComponents('fa_1', 'S', 'sum_out', 0);
+            simulator.connectComponents('fa_1', 'Cout', 'carry_out', 0);
+
+            simulator.simulate();
+            simulator.render();
+
+            return {
+                inputs: { A: inputA, B: inputB, Cin: inputCin },
+                outputs: { SUM: sumOutput, CARRY: carryOutput }
+            };
+        });
     }
     
     static mux2to1Circuit(simulator) {
-        simulator.clear();
-        
-        const inputD0 = simulator.addComponent('INPUT', 'input_d0', 50, 80, { label: 'D0' });
-        const inputD1 = simulator.addComponent('INPUT', 'input_d1', 50, 140, { label: 'D1' });
-        const inputS = simulator.addComponent('INPUT', 'input_s', 150, 200, { label: 'S' });
-        
-        // Build 2:1 MUX using gates
-        const notGate = simulator.addComponent('NOT', 'not_s', 200, 200);
-        const and1 = simulator.addComponent('AND', 'and_1', 280, 90);
-        const and2 = simulator.addComponent('AND', 'and_2', 280, 150);
-        const orGate = simulator.addComponent('OR', 'or_1', 380, 120);
-        const output = simulator.addComponent('OUTPUT', 'output_y', 480, 120, { label: 'Y' });
-        
-        // Connect the MUX logic
-        simulator.connectComponents('input_s', 0, 'not_s', 0);
-        simulator.connectComponents('input_d0', 0, 'and_1', 0);
-        simulator.connectComponents('not_s', 0, 'and_1', 1);
-        simulator.connectComponents('input_d1', 0, 'and_2', 0);
-        simulator.connectComponents('input_s', 0, 'and_2', 1);
-        simulator.connectComponents('and_1', 0, 'or_1', 0);
-        simulator.connectComponents('and_2', 0, 'or_1', 1);
-        simulator.connectComponents('or_1', 0, 'output_y', 0);
-        
-        simulator.simulate();
-        simulator.render();
-        
-        return {
-            inputs: { D0: inputD0, D1: inputD1, S: inputS },
-            outputs: { Y: output }
-        };
+        return simulator.history.batch('Load 2:1 MUX', () => {
+            simulator.clear();
+
+            const inputD0 = simulator.addComponent('INPUT', 'input_d0', 50, 80, { label: 'D0' });
+            const inputD1 = simulator.addComponent('INPUT', 'input_d1', 50, 140, { label: 'D1' });
+            const inputS = simulator.addComponent('INPUT', 'input_s', 150, 200, { label: 'S' });
+
+            // Build 2:1 MUX using gates
+            const notGate = simulator.addComponent('NOT', 'not_s', 200, 200);
+            const and1 = simulator.addComponent('AND', 'and_1', 280, 90);
+            const and2 = simulator.addComponent('AND', 'and_2', 280, 150);
+            const orGate = simulator.addComponent('OR', 'or_1', 380, 120);
+            const output = simulator.addComponent('OUTPUT', 'output_y', 480, 120, { label: 'Y' });
+
+            // Connect the MUX logic
+            simulator.connectComponents('input_s', 0, 'not_s', 0);
+            simulator.connectComponents('input_d0', 0, 'and_1', 0);
+            simulator.connectComponents('not_s', 0, 'and_1', 1);
+            simulator.connectComponents('input_d1', 0, 'and_2', 0);
+            simulator.connectComponents('input_s', 0, 'and_2', 1);
+            simulator.connectComponents('and_1', 0, 'or_1', 0);
+            simulator.connectComponents('and_2', 0, 'or_1', 1);
+            simulator.connectComponents('or_1', 0, 'output_y', 0);
+
+            simulator.simulate();
+            simulator.render();
+
+            return {
+                inputs: { D0: inputD0, D1: inputD1, S: inputS },
+                outputs: { Y: output }
+            };
+        });
     }
 }
 
@@ -1294,6 +8376,10 @@ window.CircuitSimulator = {
     CircuitSimulator,
     CircuitComponent,
     CircuitConnection,
+    CircuitHistory,
+    Logic,
+    EventQueue,
+    SignalProbe,
     ANDGate,
     ORGate,
     XORGate,
@@ -1302,8 +8388,37 @@ window.CircuitSimulator = {
     OutputComponent,
     HalfAdder,
     FullAdder,
+    ALUComponent,
     Multiplexer4to1,
+    GateBuilder,
+    Decoder,
+    PriorityEncoder,
+    Multiplexer,
+    Demultiplexer,
+    SequentialComponent,
+    SRLatch,
+    DLatch,
+    DFlipFlop,
+    Register,
+    Splitter,
+    Joiner,
+    TriStateBuffer,
+    SharedBus,
+    ClockComponent,
+    PhaseClock,
+    Stepper,
+    RamComponent,
+    SubcircuitComponent,
+    VcdWriter,
+    WaveformView,
+    ComponentPalette,
+    LogisimFormat,
     TruthTableGenerator,
+    BooleanExpression,
+    LogicMinimizer,
+    KarnaughMap,
+    EquivalenceChecker,
+    CircuitExercise,
     CircuitTemplates
 };
 
@@ -1316,98 +8431,25 @@ document.addEventListener('DOMContentLoaded', () => {
             showGrid: canvas.dataset.showGrid === 'true',
             allowDrag: canvas.dataset.allowDrag !== 'false'
         };
+        if (canvas.dataset.gridSize) {
+            options.gridSize = parseInt(canvas.dataset.gridSize, 10);
+        }
         
         const simulator = new CircuitSimulator(canvas.id, options);
         
         // Store reference for external access
         canvas._circuitSimulator = simulator;
+        
+        // data-palette="true" turns the canvas into a free-form builder
+        if (canvas.dataset.palette === 'true') {
+            const palette = new ComponentPalette(simulator);
+            canvas.parentNode.insertBefore(palette.element, canvas);
+            canvas._componentPalette = palette;
+        }
     });
 });
 
 // Export for ES6 modules if supported
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = window.CircuitSimulator;
-}/**
- * CSC210 Circuit Simulation Library
- * Version: 1.0.0
- * 
- * This library provides interactive circuit simulation capabilities
- * for all CSC210 learning modules, including logic gates, truth tables,
- * and visual circuit representations.
- */
-
-/* ===== BASE CLASSES ===== */
-
-/**
- * Base class for all circuit components
- */
-class CircuitComponent {
-    constructor(id, type, x = 0, y = 0) {
-        this.id = id;
-        this.type = type;
-        this.x = x;
-        this.y = y;
-        this.inputs = [];
-        this.outputs = [];
-        this.selected = false;
-        this.width = 60;
-        this.height = 40;
-    }
-    
-    addInput(input) {
-        this.inputs.push(input);
-    }
-    
-    addOutput(output) {
-        this.outputs.push(output);
-    }
-    
-    getBoundingBox() {
-        return {
-            left: this.x - this.width / 2,
-            right: this.x + this.width / 2,
-            top: this.y - this.height / 2,
-            bottom: this.y + this.height / 2
-        };
-    }
-    
-    containsPoint(x, y) {
-        const bbox = this.getBoundingBox();
-        return x >= bbox.left && x <= bbox.right && y >= bbox.top && y <= bbox.bottom;
-    }
-    
-    // Abstract methods to be implemented by subclasses
-    compute() {
-        throw new Error('compute() method must be implemented by subclass');
-    }
-    
-    draw(ctx) {
-        throw new Error('draw() method must be implemented by subclass');
-    }
 }
-
-/**
- * Connection between circuit components
- */
-class CircuitConnection {
-    constructor(fromComponent, fromOutput, toComponent, toInput) {
-        this.from = fromComponent;
-        this.fromOutput = fromOutput;
-        this.to = toComponent;
-        this.toInput = toInput;
-        this.value = false;
-        this.animated = false;
-    }
-    
-    draw(ctx, animated = false) {
-        const fromPos = this.getOutputPosition();
-        const toPos = this.getInputPosition();
-        
-        ctx.strokeStyle = this.value ? '#059669' : '#64748b';
-        ctx.lineWidth = this.value && animated ? 3 : 2;
-        ctx.beginPath();
-        
-        // Draw curved connection line
-        const controlPoint1X = fromPos.x + (toPos.x - fromPos.x) * 0.5;
-        const controlPoint1Y = fromPos.y;
-        const controlPoint2X = fromPos.x + (toPos.
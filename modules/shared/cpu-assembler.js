@@ -0,0 +1,392 @@
+/**
+ * CSC210 CPU Assembler
+ * Version: 1.0.0
+ *
+ * Assembler and disassembler for the 8-bit CPU built in the cpu-design
+ * lessons (four registers R0-R3, 256 bytes of RAM). Programs assemble to a
+ * byte array and to the Logisim "v2.0 raw" image loaded into RAM, in the
+ * same layout as cpu-design/files/MYSIM.txt.
+ *
+ * Requires module-utils.js (ModuleUtils.RawImage) for image input/output.
+ */
+
+/* ===== INSTRUCTION SET ===== */
+
+/**
+ * Instruction encodings, written as in the control-unit lessons:
+ *
+ *   1 ooo aa bb   ALU op RA, RB     result goes to RB (CMP only sets flags)
+ *   0000 aa bb    LD RA, RB         RB = RAM[RA]
+ *   0001 aa bb    ST RA, RB         RAM[RA] = RB
+ *   0010 00 bb    DATA RB, value    RB = next byte
+ *   0011 00 bb    JMPR RB           jump to the address in RB
+ *   0100 0000     JMP addr          jump to the next byte
+ *   0101 caez     J<flags> addr     jump to the next byte if any listed flag is set
+ *   0110 0000     CLF               clear the flags
+ */
+const CpuIsa = {
+    ALU_OPS: ['ADD', 'SHR', 'SHL', 'NOT', 'AND', 'OR', 'XOR', 'CMP'],
+    FLAGS: ['C', 'A', 'E', 'Z'],
+    REGISTERS: ['R0', 'R1', 'R2', 'R3'],
+    
+    // Opcode of the upper nibble for non-ALU instructions
+    LD: 0x0,
+    ST: 0x1,
+    DATA: 0x2,
+    JMPR: 0x3,
+    JMP: 0x4,
+    JCOND: 0x5,
+    CLF: 0x6,
+    
+    /**
+     * Split an instruction byte into its fields.
+     * @returns {{mnemonic: string, kind: string, size: number, ra: number, rb: number, flags: string}}
+     */
+    decode(byte) {
+        const ra = (byte >> 2) & 0x3;
+        const rb = byte & 0x3;
+        
+        if (byte & 0x80) {
+            return { mnemonic: CpuIsa.ALU_OPS[(byte >> 4) & 0x7], kind: 'ALU', size: 1, ra, rb, flags: '' };
+        }
+        
+        switch (byte >> 4) {
+            case CpuIsa.LD:
+                return { mnemonic: 'LD', kind: 'LD', size: 1, ra, rb, flags: '' };
+            case CpuIsa.ST:
+                return { mnemonic: 'ST', kind: 'ST', size: 1, ra, rb, flags: '' };
+            case CpuIsa.DATA:
+                return { mnemonic: 'DATA', kind: 'DATA', size: 2, ra, rb, flags: '' };
+            case CpuIsa.JMPR:
+                return { mnemonic: 'JMPR', kind: 'JMPR', size: 1, ra, rb, flags: '' };
+            case CpuIsa.JMP:
+                return { mnemonic: 'JMP', kind: 'JMP', size: 2, ra, rb, flags: '' };
+            case CpuIsa.JCOND: {
+                const flags = CpuIsa.FLAGS.filter((flag, i) => byte & (0x8 >> i)).join('');
+                return { mnemonic: `J${flags}`, kind: 'JCOND', size: 2, ra, rb, flags };
+            }
+            case CpuIsa.CLF:
+                return { mnemonic: 'CLF', kind: 'CLF', size: 1, ra, rb, flags: '' };
+            default:
+                return { mnemonic: null, kind: null, size: 1, ra, rb, flags: '' };
+        }
+    }
+};
+
+/* ===== ASSEMBLER ===== */
+
+/**
+ * Two-pass assembler. Syntax, one statement per line:
+ *
+ *   label:                  labels may share a line with an instruction
+ *   ADD R1, R2              operands are separated by commas or spaces
+ *   DATA R0, 5              numbers: decimal, 0x0D / 0Dh hex, 0b1101 binary
+ *   JC done                 jump targets may be labels or numbers
+ *   .BYTE 1, 2, 0xFF        raw data bytes
+ *   ; comment               "#" and "//" also start comments
+ */
+class CpuAssembler {
+    // Sample programs, including the MYSIM.txt multiply used in the final CPU lab
+    static get EXAMPLES() {
+        return {
+            multiply: [
+                '; 5 x 5 by shift-and-add (cpu-design/files/MYSIM.txt)',
+                '; R0 = multiplier, R1 = multiplicand, R2 = product, R3 = bit mask',
+                '        DATA R0, 5',
+                '        DATA R1, 5',
+                '        DATA R3, 1',
+                '        XOR R2, R2      ; product = 0',
+                'loop:   CLF',
+                '        SHR R0, R0      ; low bit of the multiplier -> carry',
+                '        JC add',
+                '        JMP shift',
+                'add:    CLF',
+                '        ADD R1, R2      ; product += multiplicand',
+                'shift:  CLF',
+                '        SHL R1, R1',
+                '        SHL R3, R3      ; carry out after eight rounds',
+                '        JC done',
+                '        JMP loop',
+                'done:   AND R3, R3'
+            ].join('\n')
+        };
+    }
+    
+    /**
+     * Assemble source text.
+     * @returns {{bytes: number[], labels: Object, listing: Array}} listing rows are
+     *   { line, address, bytes, source } for every line that emits code
+     * @throws {Error} listing every problem as "Line n: ..." (also in error.errors)
+     */
+    static assemble(source, options = {}) {
+        const memorySize = options.memorySize || 256;
+        const errors = [];
+        const labels = {};
+        const statements = [];
+        let address = 0;
+        
+        const fail = (line, message) => errors.push({ line, message });
+        
+        // Pass 1: strip comments, record labels and measure each statement
+        String(source).split(/\r?\n/).forEach((rawLine, index) => {
+            const line = index + 1;
+            let text = rawLine.replace(/(;|#|\/\/).*$/, '').trim();
+            
+            let labelMatch;
+            while ((labelMatch = /^([A-Za-z_.][\w.]*)\s*:/.exec(text))) {
+                const name = labelMatch[1];
+                if (Object.prototype.hasOwnProperty.call(labels, name.toUpperCase())) {
+                    fail(line, `label "${name}" is already defined`);
+                } else {
+                    labels[name.toUpperCase()] = address;
+                }
+                text = text.slice(labelMatch[0].length).trim();
+            }
+            if (!text) return;
+            
+            const [mnemonicText, ...rest] = text.split(/\s+/);
+            const mnemonic = mnemonicText.toUpperCase();
+            const operands = rest.join(' ').split(/\s*,\s*|\s+/).filter(Boolean);
+            const statement = { line, address, mnemonic, operands, source: rawLine.trim() };
+            
+            statement.size = CpuAssembler.sizeOf(mnemonic, operands);
+            if (statement.size === null) {
+                fail(line, `unknown instruction "${mnemonicText}"`);
+                return;
+            }
+            
+            statements.push(statement);
+            address += statement.size;
+        });
+        
+        if (address > memorySize) {
+            fail(statements.length ? statements[statements.length - 1].line : 1,
+                `program is ${address} bytes, larger than the ${memorySize}-byte memory`);
+        }
+        
+        // Pass 2: encode
+        const bytes = [];
+        const listing = [];
+        statements.forEach(statement => {
+            try {
+                const encoded = CpuAssembler.encode(statement, labels);
+                bytes.push(...encoded);
+                listing.push({ line: statement.line, address: statement.address, bytes: encoded, source: statement.source });
+            } catch (error) {
+                fail(statement.line, error.message);
+            }
+        });
+        
+        if (errors.length > 0) {
+            errors.sort((a, b) => a.line - b.line);
+            const error = new Error(errors.map(e => `Line ${e.line}: ${e.message}`).join('\n'));
+            error.errors = errors;
+            throw error;
+        }
+        
+        return { bytes, labels, listing };
+    }
+    
+    /**
+     * Assemble straight to a v2.0 raw image. By default the image matches
+     * MYSIM.txt: one value per line, padded to 256 bytes, CRLF line endings.
+     */
+    static assembleToImage(source, options = {}) {
+        const { bytes } = CpuAssembler.assemble(source, options);
+        return CpuAssembler.toImage(bytes, options);
+    }
+    
+    static toImage(bytes, options = {}) {
+        const memorySize = options.memorySize || 256;
+        const padded = bytes.concat(new Array(Math.max(0, memorySize - bytes.length)).fill(0));
+        return window.ModuleUtils.RawImage.stringify(padded, { lineEnding: '\r\n', ...options });
+    }
+    
+    // Bytes a statement takes, or null for an unknown mnemonic
+    static sizeOf(mnemonic, operands) {
+        if (mnemonic === '.BYTE') return operands.length;
+        if (CpuIsa.ALU_OPS.includes(mnemonic)) return 1;
+        if (['LD', 'ST', 'JMPR', 'CLF'].includes(mnemonic)) return 1;
+        if (['DATA', 'JMP'].includes(mnemonic)) return 2;
+        if (CpuAssembler.parseFlags(mnemonic) !== null) return 2;
+        return null;
+    }
+    
+    /**
+     * Flag bits of a conditional jump such as JCA or JEZ (letters in any order),
+     * or null when the mnemonic is not one.
+     */
+    static parseFlags(mnemonic) {
+        const match = /^J([CAEZ]{1,4})$/.exec(mnemonic);
+        if (!match) return null;
+        
+        let bits = 0;
+        for (const letter of match[1]) {
+            const bit = 0x8 >> CpuIsa.FLAGS.indexOf(letter);
+            if (bits & bit) return null;
+            bits |= bit;
+        }
+        return bits;
+    }
+    
+    static encode(statement, labels) {
+        const { mnemonic, operands } = statement;
+        const expect = (count) => {
+            if (operands.length !== count) {
+                throw new Error(`${mnemonic} takes ${count} operand${count === 1 ? '' : 's'}, got ${operands.length}`);
+            }
+        };
+        const register = (text) => {
+            const index = CpuIsa.REGISTERS.indexOf(String(text).toUpperCase());
+            if (index === -1) {
+                throw new Error(`"${text}" is not a register (R0-R3)`);
+            }
+            return index;
+        };
+        const value = (text) => CpuAssembler.parseValue(text, labels);
+        
+        if (mnemonic === '.BYTE') {
+            return operands.map(value);
+        }
+        
+        const aluOp = CpuIsa.ALU_OPS.indexOf(mnemonic);
+        if (aluOp !== -1) {
+            expect(2);
+            return [0x80 | (aluOp << 4) | (register(operands[0]) << 2) | register(operands[1])];
+        }
+        
+        switch (mnemonic) {
+            case 'LD':
+            case 'ST':
+                expect(2);
+                return [(CpuIsa[mnemonic] << 4) | (register(operands[0]) << 2) | register(operands[1])];
+            case 'DATA':
+                expect(2);
+                return [(CpuIsa.DATA << 4) | register(operands[0]), value(operands[1])];
+            case 'JMPR':
+                expect(1);
+                return [(CpuIsa.JMPR << 4) | register(operands[0])];
+            case 'JMP':
+                expect(1);
+                return [CpuIsa.JMP << 4, value(operands[0])];
+            case 'CLF':
+                expect(0);
+                return [CpuIsa.CLF << 4];
+            default:
+                expect(1);
+                return [(CpuIsa.JCOND << 4) | CpuAssembler.parseFlags(mnemonic), value(operands[0])];
+        }
+    }
+    
+    /**
+     * Parse a byte operand: decimal, 0x1F, 1Fh, 0b101 or a label.
+     */
+    static parseValue(text, labels = {}) {
+        let value = null;
+        if (/^-?\d+$/.test(text)) {
+            value = parseInt(text, 10);
+        } else if (/^0x[0-9a-f]+$/i.test(text)) {
+            value = parseInt(text.slice(2), 16);
+        } else if (/^[0-9][0-9a-f]*h$/i.test(text)) {
+            value = parseInt(text.slice(0, -1), 16);
+        } else if (/^0b[01]+$/i.test(text)) {
+            value = parseInt(text.slice(2), 2);
+        } else if (Object.prototype.hasOwnProperty.call(labels, text.toUpperCase())) {
+            return labels[text.toUpperCase()];
+        } else if (/^[A-Za-z_.][\w.]*$/.test(text)) {
+            throw new Error(`undefined label "${text}"`);
+        } else {
+            throw new Error(`"${text}" is not a number or label`);
+        }
+        
+        // Negative literals are stored in two's complement
+        if (value < -128 || value > 255) {
+            throw new Error(`${text} does not fit in a byte`);
+        }
+        return value & 0xFF;
+    }
+    
+    /**
+     * Decode bytes (or v2.0 raw image text) back to instructions.
+     * Without `length`, decoding stops after the last nonzero byte.
+     * @returns {{address: number, bytes: number[], text: string}[]}
+     */
+    static disassemble(input, options = {}) {
+        const bytes = typeof input === 'string' ? window.ModuleUtils.RawImage.parse(input) : Array.from(input);
+        const start = options.start || 0;
+        
+        let end = bytes.length;
+        if (options.length !== undefined) {
+            end = Math.min(bytes.length, start + options.length);
+        } else {
+            while (end > start && bytes[end - 1] === 0) end--;
+        }
+        
+        const hex = (value) => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+        const rows = [];
+        
+        for (let address = start; address < end;) {
+            const byte = bytes[address];
+            const decoded = CpuIsa.decode(byte);
+            const ra = CpuIsa.REGISTERS[decoded.ra];
+            const rb = CpuIsa.REGISTERS[decoded.rb];
+            const operand = bytes[address + 1] || 0;
+            let text;
+            
+            switch (decoded.kind) {
+                case 'ALU':
+                case 'LD':
+                case 'ST':
+                    text = `${decoded.mnemonic} ${ra}, ${rb}`;
+                    break;
+                case 'DATA':
+                    text = `DATA ${rb}, ${hex(operand)}`;
+                    break;
+                case 'JMPR':
+                    text = `JMPR ${rb}`;
+                    break;
+                case 'JMP':
+                case 'JCOND':
+                    // J with no flags never jumps, but still skips its address byte
+                    text = decoded.flags === '' && decoded.kind === 'JCOND'
+                        ? `.BYTE ${hex(byte)}, ${hex(operand)}`
+                        : `${decoded.mnemonic} ${hex(operand)}`;
+                    break;
+                case 'CLF':
+                    text = 'CLF';
+                    break;
+                default:
+                    text = `.BYTE ${hex(byte)}`;
+            }
+            
+            const size = Math.min(decoded.size, bytes.length - address);
+            rows.push({ address, bytes: bytes.slice(address, address + size), text });
+            address += size;
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Disassembly as source text that assembles back to the same bytes.
+     */
+    static disassembleToText(input, options = {}) {
+        return CpuAssembler.disassemble(input, options).map(row => {
+            const address = row.address.toString(16).toUpperCase().padStart(2, '0');
+            const code = row.bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+            return `${row.text.padEnd(20)}; ${address}: ${code}`;
+        }).join('\n');
+    }
+}
+
+/* ===== EXPORT FOR MODULE USAGE ===== */
+// Make the assembler available globally for module usage
+window.CpuAssembler = {
+    CpuIsa,
+    CpuAssembler
+};
+
+// Export for ES6 modules if supported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.CpuAssembler;
+}
@@ -0,0 +1,704 @@
+/**
+ * CSC210 CPU Emulator
+ * Version: 1.0.0
+ *
+ * JavaScript model of the 8-bit CPU completed at the end of the cpu-design
+ * lessons: registers R0-R3, IAR, IR, MAR, TMP, ACC, flags C/A/E/Z, 256 bytes
+ * of RAM and a 6-step stepper. It can run whole instructions, or one stepper
+ * step at a time while recording which enable (_E) and set (_S) lines fired.
+ * The lessons' PC is the IAR here.
+ *
+ * Requires cpu-assembler.js (CpuIsa, CpuAssembler) and module-utils.js
+ * (ModuleUtils.RawImage) for loading programs; ControlTimingView also
+ * needs circuit-simulator.js.
+ */
+
+/* ===== ALU ===== */
+
+/**
+ * The ALU's combinational behaviour. Op codes follow the instruction
+ * encoding: 000 ADD, 001 SHR, 010 SHL, 011 NOT, 100 AND, 101 OR, 110 XOR, 111 CMP.
+ */
+const CpuAlu = {
+    compute(op, a, b, carryIn = false) {
+        const cin = carryIn ? 1 : 0;
+        let result = 0;
+        let carry = false;
+        
+        switch (op) {
+            case 0: { // ADD
+                const sum = a + b + cin;
+                result = sum & 0xFF;
+                carry = sum > 0xFF;
+                break;
+            }
+            case 1: // SHR: carry in fills bit 7, bit 0 shifts out
+                result = (a >> 1) | (cin << 7);
+                carry = (a & 1) === 1;
+                break;
+            case 2: // SHL: carry in fills bit 0, bit 7 shifts out
+                result = ((a << 1) & 0xFF) | cin;
+                carry = (a & 0x80) !== 0;
+                break;
+            case 3:
+                result = ~a & 0xFF;
+                break;
+            case 4:
+                result = a & b;
+                break;
+            case 5:
+                result = a | b;
+                break;
+            case 6:
+                result = a ^ b;
+                break;
+            default:
+                // CMP only drives the comparator flags; nothing is selected onto the output
+                result = 0;
+        }
+        
+        return {
+            result,
+            carry,
+            larger: a > b,
+            equal: a === b,
+            zero: result === 0
+        };
+    }
+};
+
+/* ===== CONTROL UNIT ===== */
+
+/**
+ * The control unit as data: which lines fire at each stepper step. Steps
+ * 1-3 (fetch) are shared; steps 4-6 depend on the instruction kind.
+ *
+ * Each row is { enable, sets, bus1, alu, when }:
+ *   enable - register driving the bus (RA/RB mean the instruction's registers)
+ *   sets   - registers latching the bus; ACC latches the ALU output and FLAGS its flags
+ *   bus1   - BUS_1 replaces TMP with 1 on the ALU's B input
+ *   alu    - op code used when ACC or FLAGS is set ('IR' = the instruction's op)
+ *   when   - 'flags': only if a flag named in the jump is set;
+ *            'result': only when the op writes a result (not CMP)
+ * Steps without a row fire nothing.
+ */
+const CpuControl = {
+    FETCH: {
+        1: { enable: 'IAR', sets: ['MAR', 'ACC'], bus1: true, alu: 0 },
+        2: { enable: 'RAM', sets: ['IR'] },
+        3: { enable: 'ACC', sets: ['IAR'] }
+    },
+    
+    EXECUTE: {
+        ALU: {
+            4: { enable: 'RB', sets: ['TMP'] },
+            5: { enable: 'RA', sets: ['ACC', 'FLAGS'], alu: 'IR' },
+            6: { enable: 'ACC', sets: ['RB'], when: 'result' }
+        },
+        LD: {
+            4: { enable: 'RA', sets: ['MAR'] },
+            5: { enable: 'RAM', sets: ['RB'] }
+        },
+        ST: {
+            4: { enable: 'RA', sets: ['MAR'] },
+            5: { enable: 'RB', sets: ['RAM'] }
+        },
+        DATA: {
+            4: { enable: 'IAR', sets: ['MAR', 'ACC'], bus1: true, alu: 0 },
+            5: { enable: 'RAM', sets: ['RB'] },
+            6: { enable: 'ACC', sets: ['IAR'] }
+        },
+        JMPR: {
+            4: { enable: 'RB', sets: ['IAR'] }
+        },
+        JMP: {
+            4: { enable: 'IAR', sets: ['MAR'] },
+            5: { enable: 'RAM', sets: ['IAR'] }
+        },
+        JCOND: {
+            4: { enable: 'IAR', sets: ['MAR', 'ACC'], bus1: true, alu: 0 },
+            5: { enable: 'ACC', sets: ['IAR'] },
+            6: { enable: 'RAM', sets: ['IAR'], when: 'flags' }
+        },
+        CLF: {
+            // Flags latch the ALU's all-false compare of an empty bus against BUS_1
+            4: { enable: null, sets: ['FLAGS'], bus1: true, alu: 0 }
+        }
+    },
+    
+    // Every line, in the order the timing view lists them
+    SIGNALS: [
+        'BUS_1', 'IAR_E', 'IAR_S', 'MAR_S', 'RAM_E', 'RAM_S', 'IR_S', 'TMP_S',
+        'ACC_E', 'ACC_S', 'FLAGS_S',
+        'R0_E', 'R0_S', 'R1_E', 'R1_S', 'R2_E', 'R2_S', 'R3_E', 'R3_S'
+    ],
+    
+    /**
+     * Resolve the table row for an instruction byte at a step.
+     * @param {Object|null} flags - { C, A, E, Z }; null treats flag-dependent lines as firing
+     * @returns {{enable: string|null, sets: string[], bus1: boolean, alu: number|null, conditional: boolean}}
+     */
+    resolve(opcode, step, flags = null) {
+        const decoded = window.CpuAssembler.CpuIsa.decode(opcode);
+        const rows = step <= 3 ? CpuControl.FETCH : (CpuControl.EXECUTE[decoded.kind] || {});
+        const row = rows[step];
+        const none = { enable: null, sets: [], bus1: false, alu: null, conditional: false };
+        if (!row) return none;
+        
+        if (row.when === 'result' && decoded.mnemonic === 'CMP') return none;
+        if (row.when === 'flags' && flags && !decoded.flags.split('').some(flag => flags[flag])) return none;
+        
+        const register = (name) => {
+            if (name === 'RA') return `R${decoded.ra}`;
+            if (name === 'RB') return `R${decoded.rb}`;
+            return name;
+        };
+        
+        return {
+            enable: row.enable ? register(row.enable) : null,
+            sets: row.sets.map(register),
+            bus1: Boolean(row.bus1),
+            alu: row.alu === 'IR' ? (opcode >> 4) & 0x7 : (row.alu === undefined ? null : row.alu),
+            conditional: row.when === 'flags'
+        };
+    },
+    
+    /**
+     * Names of the lines that fire for an instruction byte at stepper step 1-6,
+     * e.g. activeSignals(0x86, 5) -> ['R1_E', 'ACC_S', 'FLAGS_S'].
+     */
+    activeSignals(opcode, step, flags = null) {
+        return CpuControl.signalNames(CpuControl.resolve(opcode, step, flags));
+    },
+    
+    signalNames(control) {
+        const signals = [];
+        if (control.bus1) signals.push('BUS_1');
+        if (control.enable) signals.push(`${control.enable}_E`);
+        control.sets.forEach(name => signals.push(`${name}_S`));
+        return signals;
+    }
+};
+
+/* ===== CPU EMULATOR ===== */
+
+/**
+ * CPU state plus the control unit that drives it one stepper step at a time.
+ */
+class CpuEmulator {
+    constructor(options = {}) {
+        this.options = {
+            memorySize: 256,
+            traceLimit: 1000, // Microstep records kept in this.trace
+            onChange: null, // Called with (emulator, reason) after each step
+            memoryComponent: null, // Circuit RAM component to use as memory
+            simulator: null, // CircuitSimulator holding memoryComponent, refreshed after writes
+            ...options
+        };
+        
+        // Sharing a RAM component's bytes lets its grid show the program and
+        // follow MAR while the CPU runs
+        const device = this.options.memoryComponent;
+        if (device) {
+            this.options.memorySize = device.memory.length;
+        }
+        this.ownMemory = device ? null : new Array(this.options.memorySize).fill(0);
+        this.reset();
+    }
+    
+    /**
+     * The shared RAM component, or null. Undo and circuit loads replace
+     * components with new instances holding the restored bytes, so with a
+     * simulator the component is looked up again by id and the CPU follows
+     * the replacement. Without one, or once the RAM is deleted, the CPU
+     * keeps the instance it was given.
+     */
+    memoryDevice() {
+        const device = this.options.memoryComponent;
+        if (!device || !this.options.simulator) return device;
+        
+        const current = this.options.simulator.getComponentById(device.id);
+        if (current && current.type === 'RAM') {
+            this.options.memoryComponent = current;
+        }
+        return this.options.memoryComponent;
+    }
+    
+    get ram() {
+        const device = this.memoryDevice();
+        return device ? device.memory : this.ownMemory;
+    }
+    
+    // Show a write or a new MAR on the shared RAM's OUT pin and on the canvas
+    refreshMemory() {
+        const device = this.memoryDevice();
+        if (!device) return;
+        
+        device.updateOutputs();
+        if (this.options.simulator) {
+            this.options.simulator.simulate();
+            this.options.simulator.render();
+        }
+    }
+    
+    /**
+     * Clear registers, flags and the stepper. RAM is kept.
+     */
+    reset() {
+        this.registers = [0, 0, 0, 0];
+        this.iar = 0;
+        this.ir = 0;
+        this.mar = 0;
+        this.tmp = 0;
+        this.acc = 0;
+        this.bus = 0;
+        this.flags = { C: false, A: false, E: false, Z: false };
+        this.carryLatch = false; // Ctmp: the carry flag captured at TMP_S
+        this.step = 1;
+        this.instructionAddress = 0; // Where the instruction being executed was fetched from
+        this.instructionCount = 0;
+        this.cycleCount = 0;
+        this.trace = [];
+        this.notify('reset');
+    }
+    
+    /**
+     * Load bytes, a v2.0 raw image or assembly source into RAM.
+     */
+    loadProgram(program, start = 0) {
+        let bytes = program;
+        if (typeof program === 'string') {
+            bytes = /^\s*v2\.0 raw/.test(program)
+                ? window.ModuleUtils.RawImage.parse(program, { size: this.options.memorySize })
+                : window.CpuAssembler.CpuAssembler.assemble(program, { memorySize: this.options.memorySize }).bytes;
+        }
+        
+        if (start + bytes.length > this.ram.length) {
+            throw new Error(`Program of ${bytes.length} bytes does not fit in RAM at address ${start}`);
+        }
+        const ram = this.ram;
+        bytes.forEach((value, i) => {
+            ram[start + i] = value & 0xFF;
+        });
+        this.refreshMemory();
+        this.notify('load');
+    }
+    
+    clearMemory() {
+        this.ram.fill(0);
+        this.refreshMemory();
+        this.notify('load');
+    }
+    
+    /**
+     * Control lines for the current stepper step, looked up in CpuControl
+     * using the instruction in IR and the current flags.
+     */
+    controlSignals(step = this.step) {
+        return CpuControl.resolve(this.ir, step, this.flags);
+    }
+    
+    readSource(name) {
+        switch (name) {
+            case 'IAR':
+                return this.iar;
+            case 'RAM':
+                return this.ram[this.mar];
+            case 'ACC':
+                return this.acc;
+            case null:
+                return 0;
+            default:
+                return this.registers[Number(name.slice(1))];
+        }
+    }
+    
+    /**
+     * Run the current stepper step and record the lines it fired.
+     * @returns {{step, address, signals: string[], bus: number, alu: string|null}}
+     */
+    microstep() {
+        const step = this.step;
+        const control = this.controlSignals(step);
+        const isAluStep = (this.ir & 0x80) !== 0 && step === 5;
+        if (step === 1) {
+            this.instructionAddress = this.iar;
+        }
+        
+        this.bus = this.readSource(control.enable);
+        
+        // The ALU sees the bus on A, and TMP (or 1 with BUS_1) on B
+        let aluOutput = null;
+        if (control.alu !== null) {
+            const b = control.bus1 ? 1 : this.tmp;
+            const a = control.enable === null ? 0 : this.bus;
+            aluOutput = CpuAlu.compute(control.alu, a, b, isAluStep && this.carryLatch);
+        }
+        
+        control.sets.forEach(name => {
+            switch (name) {
+                case 'MAR':
+                    this.mar = this.bus;
+                    if (this.memoryDevice()) {
+                        this.memoryDevice().selectAddress(this.mar);
+                        this.refreshMemory();
+                    }
+                    break;
+                case 'IR':
+                    this.ir = this.bus;
+                    break;
+                case 'IAR':
+                    this.iar = this.bus;
+                    break;
+                case 'TMP':
+                    this.tmp = this.bus;
+                    this.carryLatch = this.flags.C;
+                    break;
+                case 'ACC':
+                    this.acc = aluOutput.result;
+                    break;
+                case 'FLAGS':
+                    this.flags = {
+                        C: aluOutput.carry,
+                        A: control.enable === null ? false : aluOutput.larger,
+                        E: control.enable === null ? false : aluOutput.equal,
+                        Z: control.enable === null ? false : aluOutput.zero
+                    };
+                    break;
+                case 'RAM':
+                    this.ram[this.mar] = this.bus;
+                    this.refreshMemory();
+                    break;
+                default:
+                    this.registers[Number(name.slice(1))] = this.bus;
+            }
+        });
+        
+        const record = {
+            step,
+            address: this.instructionAddress,
+            signals: CpuControl.signalNames(control),
+            bus: this.bus,
+            alu: control.alu === null ? null : window.CpuAssembler.CpuIsa.ALU_OPS[control.alu]
+        };
+        this.trace.push(record);
+        if (this.trace.length > this.options.traceLimit) {
+            this.trace.shift();
+        }
+        
+        this.cycleCount++;
+        this.step = step === 6 ? 1 : step + 1;
+        if (this.step === 1) {
+            this.instructionCount++;
+        }
+        
+        this.notify('microstep');
+        return record;
+    }
+    
+    /**
+     * Finish the current instruction (all six steps when starting at step 1).
+     * @returns {Array} the microstep records for the instruction
+     */
+    stepInstruction() {
+        const records = [];
+        do {
+            records.push(this.microstep());
+        } while (this.step !== 1);
+        
+        this.notify('instruction');
+        return records;
+    }
+    
+    /**
+     * Run whole instructions until `until(emulator)` is true or the limit is hit.
+     * @returns {{instructions: number, stopped: 'until'|'limit'}}
+     */
+    run(options = {}) {
+        const { maxInstructions = 1000, until = null } = options;
+        let instructions = 0;
+        
+        while (instructions < maxInstructions) {
+            if (until && until(this)) {
+                return { instructions, stopped: 'until' };
+            }
+            this.stepInstruction();
+            instructions++;
+        }
+        
+        return { instructions, stopped: until && until(this) ? 'until' : 'limit' };
+    }
+    
+    /**
+     * Disassembly of the instruction at IAR (the next one to be fetched).
+     */
+    nextInstruction() {
+        const rows = window.CpuAssembler.CpuAssembler.disassemble(this.ram, { start: this.iar, length: 2 });
+        return rows.length ? rows[0].text : '';
+    }
+    
+    /**
+     * Plain snapshot of the machine for pages to render.
+     */
+    getState() {
+        return {
+            registers: this.registers.slice(),
+            iar: this.iar,
+            ir: this.ir,
+            mar: this.mar,
+            tmp: this.tmp,
+            acc: this.acc,
+            bus: this.bus,
+            flags: { ...this.flags },
+            step: this.step,
+            instructionCount: this.instructionCount,
+            cycleCount: this.cycleCount,
+            ram: this.ram.slice()
+        };
+    }
+    
+    notify(reason) {
+        if (typeof this.options.onChange === 'function') {
+            this.options.onChange(this, reason);
+        }
+    }
+}
+
+/* ===== CONTROL TIMING VIEW ===== */
+
+/**
+ * Timing chart of the control lines an instruction fires across stepper
+ * steps 1-6. The stepper is a four-phase clock driving a STEPPER inside a
+ * CircuitSimulator, so the chart advances on the same event-driven engine as
+ * the lesson circuits: enables light up while CLK_E is high and sets while
+ * CLK_S is high. Requires circuit-simulator.js.
+ */
+class ControlTimingView {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!this.container) {
+            throw new Error('ControlTimingView needs a container element');
+        }
+        
+        this.options = {
+            instruction: 'ADD R1, R2', // Assembly text or an instruction byte
+            interval: 250, // Milliseconds per clock quarter while running
+            ...options
+        };
+        
+        this.flags = { C: false, A: false, E: false, Z: false };
+        this.opcode = 0;
+        this.timer = null;
+        
+        this.build();
+        this.buildCircuit();
+        this.setInstruction(this.options.instruction);
+    }
+    
+    build() {
+        const id = this.container.id || `control-timing-${Math.random().toString(36).slice(2, 8)}`;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'control-timing-view';
+        this.element.innerHTML = `
+            <div class="simulator-controls">
+                <div class="control-group">
+                    <h4>Instruction</h4>
+                    <input type="text" class="input" data-role="instruction" aria-label="Instruction (assembly or byte)">
+                    <p class="text-muted" aria-live="polite" data-role="decoded"></p>
+                </div>
+                <div class="control-group">
+                    <h4>Flags</h4>
+                    <div class="flex flex-wrap items-center" data-role="flags">
+                        ${['C', 'A', 'E', 'Z'].map(flag => `
+                            <label><input type="checkbox" data-flag="${flag}"> ${flag}</label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="control-group">
+                    <h4>Stepper</h4>
+                    <div class="flex flex-wrap items-center">
+                        <button type="button" class="btn btn-small btn-primary" data-action="run">Run</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="tick">Tick</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="step">Next step</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="reset">Reset</button>
+                    </div>
+                </div>
+            </div>
+            <canvas id="${id}-stepper" class="circuit-canvas" style="width: 100%; height: 140px;"></canvas>
+            <table class="truth-table control-timing" aria-label="Control lines by stepper step"></table>
+        `;
+        this.container.appendChild(this.element);
+        
+        this.instructionInput = this.element.querySelector('[data-role="instruction"]');
+        this.decodedText = this.element.querySelector('[data-role="decoded"]');
+        this.runButton = this.element.querySelector('[data-action="run"]');
+        this.table = this.element.querySelector('table');
+        
+        this.instructionInput.addEventListener('change', () => this.setInstruction(this.instructionInput.value));
+        this.element.querySelectorAll('[data-flag]').forEach(box => {
+            box.addEventListener('change', () => {
+                this.flags[box.dataset.flag] = box.checked;
+                this.render();
+            });
+        });
+        this.runButton.addEventListener('click', () => (this.timer ? this.stop() : this.start()));
+        this.element.querySelector('[data-action="tick"]').addEventListener('click', () => {
+            this.stop();
+            this.tick();
+        });
+        this.element.querySelector('[data-action="step"]').addEventListener('click', () => {
+            this.stop();
+            this.nextStep();
+        });
+        this.element.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.stop();
+            this.buildCircuit();
+            this.render();
+        });
+        
+        this.simulator = new window.CircuitSimulator.CircuitSimulator(`${id}-stepper`, {
+            allowDrag: false,
+            allowWiring: false,
+            historyDepth: 0
+        });
+    }
+    
+    // Four-phase clock -> stepper, the same parts the lesson CPU uses
+    buildCircuit() {
+        const simulator = this.simulator;
+        simulator.clear();
+        this.clock = simulator.addComponent('CLOCK_4PHASE', 'clk', 70, 70);
+        this.stepper = simulator.addComponent('STEPPER', 'stepper', 220, 70, { steps: 6 });
+        simulator.connectComponents('clk', 'CLK', 'stepper', 'CLK');
+        simulator.simulate();
+        simulator.render();
+    }
+    
+    /**
+     * Show an instruction, given as assembly ("JCA 0x10"), "0x58" or "01011000".
+     */
+    setInstruction(instruction) {
+        try {
+            this.opcode = ControlTimingView.parseInstruction(instruction);
+        } catch (error) {
+            this.decodedText.textContent = error.message;
+            this.decodedText.className = 'text-error';
+            return;
+        }
+        
+        const text = window.CpuAssembler.CpuAssembler.disassemble([this.opcode, 0], { length: 1 })[0].text;
+        this.instructionInput.value = typeof instruction === 'number' ? text : String(instruction);
+        this.decodedText.textContent = `${this.opcode.toString(2).padStart(8, '0')} (0x${this.opcode.toString(16).toUpperCase().padStart(2, '0')}) - ${text}`;
+        this.decodedText.className = 'text-muted';
+        this.render();
+    }
+    
+    static parseInstruction(instruction) {
+        if (typeof instruction === 'number') {
+            return instruction & 0xFF;
+        }
+        
+        const text = String(instruction).trim();
+        if (/^0x[0-9a-f]{1,2}$/i.test(text)) {
+            return parseInt(text.slice(2), 16);
+        }
+        if (/^[01]{8}$/.test(text)) {
+            return parseInt(text, 2);
+        }
+        
+        // Operands only matter for register fields, so let labels resolve to 0
+        const source = text.replace(/^(J[A-Z]*)\s+[A-Za-z_.][\w.]*$/i, '$1 0');
+        return window.CpuAssembler.CpuAssembler.assemble(source).bytes[0];
+    }
+    
+    get currentStep() {
+        return this.stepper.getState().step;
+    }
+    
+    /**
+     * Advance the clock one quarter (the stepper moves on each rising CLK).
+     */
+    tick() {
+        this.simulator.tick();
+        this.simulator.render();
+        this.render();
+    }
+    
+    nextStep() {
+        const step = this.currentStep;
+        for (let quarter = 0; quarter < 8 && this.currentStep === step; quarter++) {
+            this.simulator.tick();
+        }
+        this.simulator.render();
+        this.render();
+    }
+    
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.tick(), this.options.interval);
+        this.runButton.textContent = 'Pause';
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.runButton.textContent = 'Run';
+    }
+    
+    render() {
+        const steps = [1, 2, 3, 4, 5, 6];
+        const rows = steps.map(step => CpuControl.resolve(this.opcode, step));
+        const taken = steps.map(step => CpuControl.resolve(this.opcode, step, this.flags));
+        const fired = rows.map(CpuControl.signalNames);
+        const signals = CpuControl.SIGNALS.filter(signal => fired.some(list => list.includes(signal)));
+        
+        const current = this.currentStep;
+        const [, enablePhase, setPhase] = this.clock.outputs;
+        const isFiring = (signal) => (/_S$/.test(signal) ? setPhase : enablePhase);
+        
+        const cell = (signal, i) => {
+            const classes = [];
+            let text = '';
+            if (fired[i].includes(signal)) {
+                const happens = CpuControl.signalNames(taken[i]).includes(signal);
+                text = happens ? '1' : '?';
+                classes.push(happens ? 'active' : 'conditional');
+                if (steps[i] === current && happens && isFiring(signal)) classes.push('firing');
+            }
+            if (steps[i] === current) classes.push('current-step');
+            return `<td class="${classes.join(' ')}">${text}</td>`;
+        };
+        
+        const aluRow = rows.some(row => row.alu !== null)
+            ? `<tr><th scope="row">ALU</th>${rows.map((row, i) => `<td class="${steps[i] === current ? 'current-step' : ''}">${
+                row.alu === null ? '' : window.CpuAssembler.CpuIsa.ALU_OPS[row.alu]}</td>`).join('')}</tr>`
+            : '';
+        
+        this.table.innerHTML = `
+            <thead>
+                <tr><th scope="col">Line</th>${steps.map(step => `<th scope="col">Step ${step}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${signals.map(signal => `<tr><th scope="row">${signal}</th>${steps.map((_, i) => cell(signal, i)).join('')}</tr>`).join('')}
+                ${aluRow}
+            </tbody>
+        `;
+    }
+}
+
+/* ===== EXPORT FOR MODULE USAGE ===== */
+// Make the emulator available globally for module usage
+window.CpuEmulator = {
+    CpuAlu,
+    CpuControl,
+    CpuEmulator,
+    ControlTimingView
+};
+
+// Export for ES6 modules if supported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.CpuEmulator;
+}
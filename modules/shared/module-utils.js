@@ -772,7 +772,7 @@ const Utils = {
 /* ===== VALIDATION UTILITIES ===== */
 class Validator {
     static validateBinaryInput(input, bits = 4) {
-        const binaryPattern = new RegExp(`^[01]{1,${bits}});
+        const binaryPattern = new RegExp(`^[01]{1,${bits}}$`);
         return binaryPattern.test(input);
     }
     
@@ -800,6 +800,144 @@ class Validator {
     }
 }
 
+/* ===== MEMORY IMAGE UTILITIES ===== */
+/**
+ * Reader and writer for Logisim "v2.0 raw" memory images such as the
+ * cpu-design/files/MYSIM.txt program. After the header line the file holds
+ * hex values separated by whitespace; "N*value" repeats a value N times and
+ * "#" starts a comment. Addresses not listed in the file hold 0.
+ */
+class RawImage {
+    static get HEADER() {
+        return 'v2.0 raw';
+    }
+    
+    /**
+     * Parse an image into an array of byte values.
+     * @param {string} text - File contents
+     * @param {Object} options - { size: number of bytes in the memory (default 256) }
+     * @returns {number[]} `size` values, zero-filled past the last entry
+     */
+    static parse(text, options = {}) {
+        const size = options.size || 256;
+        const lines = String(text).split(/\r?\n/);
+        const header = lines[0].replace(/#.*$/, '').trim();
+        if (header !== RawImage.HEADER) {
+            throw new Error(`Line 1: expected "${RawImage.HEADER}" header, found "${header}"`);
+        }
+        
+        const bytes = new Array(size).fill(0);
+        let address = 0;
+        
+        for (let i = 1; i < lines.length; i++) {
+            const tokens = lines[i].replace(/#.*$/, '').trim().split(/\s+/).filter(Boolean);
+            
+            tokens.forEach(token => {
+                const match = /^(?:(\d+)\*)?([0-9a-fA-F]+)$/.exec(token);
+                if (!match) {
+                    throw new Error(`Line ${i + 1}: "${token}" is not a hex value or N*value run`);
+                }
+                
+                const count = match[1] === undefined ? 1 : parseInt(match[1], 10);
+                const value = parseInt(match[2], 16);
+                if (value > 0xFF) {
+                    throw new Error(`Line ${i + 1}: ${token} does not fit in a byte`);
+                }
+                if (address + count > size) {
+                    throw new Error(`Line ${i + 1}: image is longer than ${size} bytes`);
+                }
+                
+                bytes.fill(value, address, address + count);
+                address += count;
+            });
+        }
+        
+        return bytes;
+    }
+    
+    /**
+     * Write byte values as an image.
+     * @param {number[]} bytes
+     * @param {Object} options - { perLine: values per line (default 1),
+     *   runLength: write repeats of 4 or more as N*value (default false),
+     *   trimZeros: leave out trailing zeros (default false),
+     *   lineEnding: '\n' (default) or '\r\n' as in files saved on Windows }
+     */
+    static stringify(bytes, options = {}) {
+        const { perLine = 1, runLength = false, trimZeros = false, lineEnding = '\n' } = options;
+        
+        let end = bytes.length;
+        if (trimZeros) {
+            while (end > 0 && bytes[end - 1] === 0) end--;
+        }
+        
+        const tokens = [];
+        for (let i = 0; i < end;) {
+            const value = bytes[i];
+            if ((value & 0xFF) !== value) {
+                throw new Error(`Address ${i}: ${value} is not a byte value`);
+            }
+            
+            let run = 1;
+            while (runLength && i + run < end && bytes[i + run] === value) run++;
+            
+            const hex = value.toString(16).toUpperCase();
+            if (run >= 4) {
+                tokens.push(`${run}*${hex}`);
+                i += run;
+            } else {
+                tokens.push(hex);
+                i++;
+            }
+        }
+        
+        const lines = [RawImage.HEADER];
+        for (let i = 0; i < tokens.length; i += perLine) {
+            lines.push(tokens.slice(i, i + perLine).join(' '));
+        }
+        return lines.join(lineEnding) + lineEnding;
+    }
+    
+    /**
+     * Format bytes as rows of "address: hex bytes", 16 per row by default.
+     */
+    static hexDump(bytes, options = {}) {
+        const { columns = 16, start = 0, length = bytes.length - start } = options;
+        const end = Math.min(bytes.length, start + length);
+        const addressDigits = Math.max(2, (bytes.length - 1).toString(16).length);
+        const rows = [];
+        
+        for (let row = start; row < end; row += columns) {
+            const values = [];
+            for (let i = row; i < Math.min(row + columns, end); i++) {
+                values.push(Utils.binary.toHex(bytes[i]));
+            }
+            rows.push(`${row.toString(16).toUpperCase().padStart(addressDigits, '0')}: ${values.join(' ')}`);
+        }
+        
+        return rows.join('\n');
+    }
+    
+    /**
+     * List the addresses where two images differ (missing bytes count as 0).
+     * @returns {{address: number, before: number, after: number}[]}
+     */
+    static diff(before, after) {
+        const changes = [];
+        const length = Math.max(before.length, after.length);
+        
+        for (let address = 0; address < length; address++) {
+            const a = before[address] || 0;
+            const b = after[address] || 0;
+            if (a !== b) {
+                changes.push({ address, before: a, after: b });
+            }
+        }
+        
+        return changes;
+    }
+}
+
 /* ===== EXPORT FOR MODULE USAGE ===== */
 // Make utilities available globally for module usage
 window.ModuleUtils = {
@@ -808,7 +946,8 @@ window.ModuleUtils = {
     QuizManager,
     ErrorHandler,
     Utils,
-    Validator
+    Validator,
+    RawImage
 };
 
 // Initialize error handling for all modules